@@ -9,26 +9,74 @@ import '@fontsource/merriweather/700.css';
 import '@fontsource-variable/source-serif-4';
 
 import { initFileHandler } from './services/file-handler.js';
-import { parseEpub } from './services/epub-parser.js';
-import { tokenizeChapters } from './services/tokenizer.js';
+import { parseBook } from './services/book-parser.js';
+import {
+  tokenizeChapters,
+  tokenizeNote,
+  getParagraphBounds,
+  findSentenceStart,
+  findPreviousSentenceStart,
+  findNextSentenceStart,
+} from './services/tokenizer.js';
 import { createRsvpEngine } from './services/rsvp-engine.js';
+import { getTimingModel } from './services/timing.js';
+import { searchBook, groupResultsByChapter } from './services/search.js';
+import { buildChapterTree, treeContainsChapter } from './services/toc.js';
+import { getSectionLabel, getDefaultExcludedIds, createReadingScope } from './services/sections.js';
 import { splitWordAtOrp } from './services/orp.js';
+import { loadHyphenator, createWordSplitter } from './services/word-splitter.js';
+import { getBookDirection, getWordDirection } from './services/language.js';
+import { createExport, readExportFile, importExport } from './services/data-transfer.js';
+import {
+  startSession,
+  setSessionActive,
+  recordPosition,
+  getSessionStats,
+  getSessionRecord,
+} from './services/session-tracker.js';
+import {
+  getDailyTotals,
+  getStreaks,
+  getBookTotals,
+  getOverallTotals,
+} from './services/reading-stats.js';
 import {
   saveBookReference,
   getBookReference,
+  getLibrary,
+  removeBookReference,
+  setCurrentBookId,
+  getCurrentBookId,
   saveReadingPosition,
   getReadingPosition,
+  getExcludedSections,
+  saveExcludedSections,
+  clearExcludedSections,
+  getBookmarks,
+  addBookmark,
+  updateBookmark,
+  removeBookmark,
   savePreferences,
   getPreferences,
-  clearBookData,
-  clearReadingPosition,
-  isMatchingSavedBook,
+  getDefaultPreferences,
+  hasLegacyBookData,
+  migrateLegacyBookData,
+  getInlineCovers,
+  markCoverStored,
+  WPM_LIMITS,
 } from './services/storage.js';
 import {
+  computeBookId,
   saveFileAccess,
   loadSavedFile,
   checkSavedFileStatus,
   clearSavedFile,
+  migrateLegacyFile,
+  saveCover,
+  loadCover,
+  clearCover,
+  saveReadingSession,
+  getReadingSessions,
 } from './services/file-persistence.js';
 import {
   acquireWakeLock,
@@ -47,6 +95,7 @@ import {
   applyTheme,
   getNextThemeId,
   getThemeName,
+  getThemeIds,
 } from './services/theme.js';
 import { TapControls } from './services/tap-controls.js';
 
@@ -78,18 +127,41 @@ const FONT_SIZE_MIN = 2;
 const FONT_SIZE_MAX = 5;
 const FONT_SIZE_STEP = 0.25;
 const POSITION_SAVE_INTERVAL = 5000; // Save position every 5 seconds
+const BOOKMARK_SNIPPET_BEFORE = 4; // Words of context before a bookmarked word
+const BOOKMARK_SNIPPET_AFTER = 10; // Words of context after a bookmarked word
+const CONTEXT_MAX_WORDS = 150; // Longest excerpt shown in the context panel
+const MAX_PERIPHERAL_WORDS = 3; // Most preview words on each side of the current word
+const NOTE_LOOKBACK_WORDS = 200; // Furthest back a sentence is searched for notes to read inline
+const SETTINGS_PREVIEW_TEXT =
+  'Reading one word at a time keeps your eyes still while the text comes to you. ' +
+  'Change any setting and this preview follows along.';
+const SETTINGS_PREVIEW_REST = 800; // ms before the settings preview starts over
 
 // App state
 let engine = null;
 let bookData = null;
 let tokens = null;
+let currentBookId = null; // Content hash of the open book (library key)
+let excludedChapterIds = []; // Chapters of the open book left out of reading
+let readingScope = null; // Included content of the open book (from sections.js)
+let bookDirection = 'ltr'; // Base text direction of the open book
 let currentFile = null;
 let currentFileHandle = null;
 let preferences = getPreferences();
 let lastPositionSaveTime = 0;
 let mobileControlsInitialized = false;
-let isResumingBook = false; // Track if we're resuming a previous book
 let tapControls = null; // Tap controls for YouTube-style interactions
+let chapterBreakIndex = null; // Chapter start where playback stopped for the chapter-complete card
+let chapterStatsStart = null; // Session stats when the current chapter started
+let isAutomaticPause = false; // Engine paused for a chapter break rather than by the reader
+let pendingChapterTitle = null; // { timer, wasPlaying } - chapter title shown before the chapter starts
+let statsReturnScreen = null; // Screen to go back to from the stats screen
+let settingsReturnScreen = null; // Screen to go back to from the settings screen
+let settingsPreviewEngine = null; // Engine playing the sample text on the settings screen
+let settingsPreviewTimer = null;
+let searchResults = []; // Results of the last search in the current book
+let selectedSearchResult = -1;
+let searchDebounceTimer = null;
 
 // DOM Elements
 const landingScreen = document.getElementById('landing-screen');
@@ -98,18 +170,43 @@ const readerScreen = document.getElementById('reader-screen');
 const dropZone = document.getElementById('drop-zone');
 const fileInput = document.getElementById('file-input');
 const filePickerBtn = document.getElementById('file-picker-btn');
+const pasteTextBtn = document.getElementById('paste-text-btn');
+const librarySection = document.getElementById('library');
+const libraryListEl = document.getElementById('library-list');
 const currentWordEl = document.getElementById('current-word');
 const wordLeftEl = document.getElementById('word-left');
 const wordRightEl = document.getElementById('word-right');
 const wordBeforeEl = document.getElementById('word-before');
 const wordOrpEl = document.getElementById('word-orp');
 const wordAfterEl = document.getElementById('word-after');
+const previewBeforeEl = document.getElementById('preview-before');
+const previewAfterEl = document.getElementById('preview-after');
 const statusIndicator = document.getElementById('status-indicator');
 const wpmDisplay = document.getElementById('wpm-display');
 const chunkDisplay = document.getElementById('chunk-display');
 const progressDisplay = document.getElementById('progress-display');
 const chapterIndicator = document.getElementById('chapter-indicator');
 const chapterTitle = document.getElementById('chapter-title');
+const contextPanel = document.getElementById('context-panel');
+const noteIndicator = document.getElementById('note-indicator');
+const notePopover = document.getElementById('note-popover');
+const notePopoverText = document.getElementById('note-popover-text');
+const notePopoverCloseBtn = document.getElementById('note-popover-close');
+const statsHud = document.getElementById('stats-hud');
+const hudChapterLeft = document.getElementById('hud-chapter-left');
+const hudBookLeft = document.getElementById('hud-book-left');
+const hudWordsRead = document.getElementById('hud-words-read');
+const hudElapsed = document.getElementById('hud-elapsed');
+const hudEffectiveWpm = document.getElementById('hud-effective-wpm');
+
+// Paste text overlay elements
+const pasteOverlay = document.getElementById('paste-overlay');
+const pasteTitleInput = document.getElementById('paste-title');
+const pasteTextarea = document.getElementById('paste-textarea');
+const pasteSaveCheckbox = document.getElementById('paste-save');
+const pasteClipboardBtn = document.getElementById('paste-clipboard-btn');
+const pasteCancelBtn = document.getElementById('paste-cancel-btn');
+const pasteReadBtn = document.getElementById('paste-read-btn');
 
 // Book info elements
 const bookCover = document.getElementById('book-cover');
@@ -119,6 +216,52 @@ const bookAuthorEl = document.getElementById('book-author');
 const bookStatsEl = document.getElementById('book-stats');
 const startReadingBtn = document.getElementById('start-reading-btn');
 const chooseDifferentBtn = document.getElementById('choose-different-btn');
+const pauseChaptersToggle = document.getElementById('pause-chapters-toggle');
+const warmupToggle = document.getElementById('warmup-toggle');
+const trainingToggle = document.getElementById('training-toggle');
+const bookInfoStatsBtn = document.getElementById('book-info-stats-btn');
+const bookInfoSettingsBtn = document.getElementById('book-info-settings-btn');
+const bookSectionsEl = document.getElementById('book-sections');
+const bookSectionsSummary = document.getElementById('book-sections-summary');
+const bookSectionsList = document.getElementById('book-sections-list');
+const bookSectionsResetBtn = document.getElementById('book-sections-reset');
+
+// Settings screen elements
+const settingsScreen = document.getElementById('settings-screen');
+const settingsBackBtn = document.getElementById('settings-back-btn');
+const settingsResetBtn = document.getElementById('settings-reset-btn');
+const settingsExportBtn = document.getElementById('settings-export-btn');
+const settingsExportBooks = document.getElementById('settings-export-books');
+const settingsImportBtn = document.getElementById('settings-import-btn');
+const settingsImportMode = document.getElementById('settings-import-mode');
+const settingsImportInput = document.getElementById('settings-import-input');
+const settingsDataStatus = document.getElementById('settings-data-status');
+const settingsControls = Array.from(settingsScreen?.querySelectorAll('[data-pref]') || []);
+const timingWeightControls = Array.from(settingsScreen?.querySelectorAll('[data-timing-weight]') || []);
+const settingsPreview = document.getElementById('settings-preview');
+const settingsPreviewLeft = settingsPreview?.querySelector('.settings-preview-left');
+const settingsPreviewRight = settingsPreview?.querySelector('.settings-preview-right');
+const settingWpm = document.getElementById('setting-wpm');
+const settingsWpmHint = document.getElementById('settings-wpm-hint');
+const settingFontFamily = document.getElementById('setting-font-family');
+const settingFontSize = document.getElementById('setting-font-size');
+const settingFontSizeValue = document.getElementById('setting-font-size-value');
+const settingTheme = document.getElementById('setting-theme');
+
+// Reading stats screen elements
+const statsScreen = document.getElementById('stats-screen');
+const landingStatsBtn = document.getElementById('landing-stats-btn');
+const statsBackBtn = document.getElementById('stats-back-btn');
+const statsTotalTime = document.getElementById('stats-total-time');
+const statsTotalWords = document.getElementById('stats-total-words');
+const statsAverageWpm = document.getElementById('stats-average-wpm');
+const statsCurrentStreak = document.getElementById('stats-current-streak');
+const statsLongestStreak = document.getElementById('stats-longest-streak');
+const statsEmpty = document.getElementById('stats-empty');
+const statsDetails = document.getElementById('stats-details');
+const statsDaily = document.getElementById('stats-daily');
+const statsWpmTrend = document.getElementById('stats-wpm-trend');
+const statsBooks = document.getElementById('stats-books');
 
 // Book info fallback file selection elements
 const bookInfoDropZone = document.getElementById('book-info-drop-zone');
@@ -129,6 +272,32 @@ const chapterListOverlay = document.getElementById('chapter-list-overlay');
 const chapterListEl = document.getElementById('chapter-list');
 const closeChapterListBtn = document.getElementById('close-chapter-list');
 
+// Chapter complete card elements
+const chapterCompleteOverlay = document.getElementById('chapter-complete');
+const chapterCompleteTitle = document.getElementById('chapter-complete-title');
+const chapterCompleteWords = document.getElementById('chapter-complete-words');
+const chapterCompleteTime = document.getElementById('chapter-complete-time');
+const chapterCompleteWpm = document.getElementById('chapter-complete-wpm');
+const chapterCompleteNextTitle = document.getElementById('chapter-complete-next-title');
+const chapterCompleteNextLength = document.getElementById('chapter-complete-next-length');
+const chapterCompletePauseToggle = document.getElementById('chapter-complete-pause-toggle');
+const chapterCompleteContinueBtn = document.getElementById('chapter-complete-continue');
+
+// Search overlay elements
+const searchOverlay = document.getElementById('search-overlay');
+const searchInput = document.getElementById('search-input');
+const searchCaseToggle = document.getElementById('search-case');
+const searchWholeWordToggle = document.getElementById('search-whole-word');
+const searchCount = document.getElementById('search-count');
+const searchResultsEl = document.getElementById('search-results');
+const closeSearchBtn = document.getElementById('close-search');
+
+// Bookmark list overlay elements
+const bookmarkListOverlay = document.getElementById('bookmark-list-overlay');
+const bookmarkListEl = document.getElementById('bookmark-list');
+const bookmarkEmptyEl = document.getElementById('bookmark-empty');
+const closeBookmarkListBtn = document.getElementById('close-bookmark-list');
+
 // Mobile toolbar elements
 const mobileToolbar = document.getElementById('mobile-toolbar');
 const btnPlayPause = document.getElementById('btn-play-pause');
@@ -137,12 +306,21 @@ const btnSpeedDown = document.getElementById('btn-speed-down');
 const btnStepBack = document.getElementById('btn-step-back');
 const btnStepForward = document.getElementById('btn-step-forward');
 const btnChunkCycle = document.getElementById('btn-chunk-cycle');
+const btnBookmark = document.getElementById('btn-bookmark');
+const btnBookmarkList = document.getElementById('btn-bookmark-list');
+const btnContext = document.getElementById('btn-context');
+const btnPeripheral = document.getElementById('btn-peripheral');
 const btnFontUp = document.getElementById('btn-font-up');
 const btnFontDown = document.getElementById('btn-font-down');
 const btnFontCycle = document.getElementById('btn-font-cycle');
 const btnPrevChapter = document.getElementById('btn-prev-chapter');
 const btnNextChapter = document.getElementById('btn-next-chapter');
+const btnPrevSentence = document.getElementById('btn-prev-sentence');
+const btnNextSentence = document.getElementById('btn-next-sentence');
+const btnPrevParagraph = document.getElementById('btn-prev-paragraph');
+const btnNextParagraph = document.getElementById('btn-next-paragraph');
 const btnThemeCycle = document.getElementById('btn-theme-cycle');
+const btnSettings = document.getElementById('btn-settings');
 const btnFullscreen = document.getElementById('btn-fullscreen');
 const btnMenu = document.getElementById('btn-menu');
 const playPauseIcon = document.getElementById('play-pause-icon');
@@ -178,15 +356,13 @@ async function init() {
     });
   }
 
+  // Set up paste text overlay
+  initPasteOverlay();
+
   // Set up button handlers - use onclick so it can be reassigned for resume flow
   startReadingBtn.onclick = startReading;
-  chooseDifferentBtn.addEventListener('click', async () => {
-    clearBookData();
-    await clearSavedFile();
-    bookData = null;
-    tokens = null;
-    currentFile = null;
-    currentFileHandle = null;
+  chooseDifferentBtn.addEventListener('click', () => {
+    saveCurrentPosition();
     showLandingScreen();
   });
 
@@ -203,52 +379,331 @@ async function init() {
       backdrop.addEventListener('click', hideChapterListOverlay);
     }
   }
+  chapterListEl?.addEventListener('keydown', handleChapterListKeydown);
 
-  // Save position when page is closed
-  window.addEventListener('beforeunload', () => {
-    if (engine && tokens) {
-      const index = engine.getCurrentIndex();
-      const token = tokens[index];
-      if (token) {
-        saveReadingPosition(index, token.chapterIndex);
-      }
+  // Set up bookmark list overlay controls
+  closeBookmarkListBtn?.addEventListener('click', hideBookmarkListOverlay);
+  bookmarkListOverlay
+    ?.querySelector('.overlay-backdrop')
+    ?.addEventListener('click', hideBookmarkListOverlay);
+
+  // Set up search overlay
+  initSearchOverlay();
+
+  // Pause between chapters - same preference on the book info screen and the card
+  if (pauseChaptersToggle) {
+    pauseChaptersToggle.checked = preferences.pauseBetweenChapters;
+  }
+  pauseChaptersToggle?.addEventListener('change', (e) => setPauseBetweenChapters(e.target.checked));
+  chapterCompletePauseToggle?.addEventListener('change', (e) => setPauseBetweenChapters(e.target.checked));
+  chapterCompleteContinueBtn?.addEventListener('click', () => engine?.play());
+
+  // Speed warm-up and training mode
+  if (warmupToggle) warmupToggle.checked = preferences.warmupEnabled;
+  if (trainingToggle) trainingToggle.checked = preferences.trainingEnabled;
+  warmupToggle?.addEventListener('change', (e) => {
+    preferences.warmupEnabled = e.target.checked;
+    savePreferences({ warmupEnabled: e.target.checked });
+    engine?.setWarmup(getWarmupConfig());
+  });
+  trainingToggle?.addEventListener('change', (e) => {
+    preferences.trainingEnabled = e.target.checked;
+    savePreferences({ trainingEnabled: e.target.checked });
+    engine?.setTraining(getTrainingConfig());
+  });
+
+  // Clicking a word in the context panel jumps there
+  contextPanel?.addEventListener('click', (e) => {
+    const index = e.target.dataset?.index;
+    if (index !== undefined && engine) {
+      engine.seekTo(Number(index));
     }
   });
 
+  // Footnote popover
+  noteIndicator?.addEventListener('click', toggleNotePopover);
+  notePopoverCloseBtn?.addEventListener('click', hideNotePopover);
+
+  // Reading stats screen
+  landingStatsBtn?.addEventListener('click', () => showStatsScreen(landingScreen));
+  bookInfoStatsBtn?.addEventListener('click', () => showStatsScreen(bookInfoScreen));
+  statsBackBtn?.addEventListener('click', hideStatsScreen);
+
+  // Sections skipped while reading (book info screen)
+  bookSectionsResetBtn?.addEventListener('click', () => setExcludedChapters(null));
+
+  // Settings screen
+  bookInfoSettingsBtn?.addEventListener('click', () => showSettingsScreen(bookInfoScreen));
+  settingsBackBtn?.addEventListener('click', hideSettingsScreen);
+  initSettingsScreen();
+
+  // Click the WPM readout to type a speed
+  wpmDisplay?.addEventListener('click', startWpmEntry);
+
+  // Save position and the reading session when page is closed
+  window.addEventListener('beforeunload', saveCurrentPosition);
+  window.addEventListener('beforeunload', persistReadingSession);
+
+  // Move pre-library single-book data into the library
+  await migrateLegacyBook();
+  await migrateInlineCovers();
+
+  renderLibrary();
+
   // Check for saved book on load
   await checkForSavedBook();
 
   console.log('RSVP Reader initialized');
 }
 
+/**
+ * Migrate the single saved book from before the library existed
+ */
+async function migrateLegacyBook() {
+  if (!hasLegacyBookData()) return;
+
+  let bookId = null;
+  try {
+    bookId = await migrateLegacyFile();
+  } catch (e) {
+    console.warn('Failed to migrate saved file:', e);
+  }
+  migrateLegacyBookData(bookId);
+}
+
+/**
+ * Move covers kept inside library entries into IndexedDB
+ */
+async function migrateInlineCovers() {
+  for (const { bookId, coverUrl } of getInlineCovers()) {
+    try {
+      await saveCover(bookId, coverUrl);
+      markCoverStored(bookId);
+    } catch (e) {
+      console.warn('Failed to migrate book cover:', e);
+    }
+  }
+}
+
+/**
+ * Store the cover of a book added to (or reloaded from) the library
+ * @param {string} bookId - Book ID
+ * @param {Object} data - Parsed book data
+ * @returns {Promise<boolean>} True if a cover was stored
+ */
+async function saveBookCover(bookId, data) {
+  if (!data.metadata.coverUrl) return false;
+
+  try {
+    await saveCover(bookId, data.metadata.coverUrl);
+    return true;
+  } catch (e) {
+    console.warn('Failed to save book cover:', e);
+    return false;
+  }
+}
+
+/**
+ * Load a stored cover into an image once it is read from IndexedDB
+ * @param {string} bookId - Book ID
+ * @param {HTMLImageElement} img - Image to show it in
+ * @param {Function} [isCurrent] - Checked before showing, in case the view has moved on
+ * @returns {Promise<boolean>} True if the cover was shown
+ */
+async function showStoredCover(bookId, img, isCurrent = () => true) {
+  try {
+    const coverUrl = await loadCover(bookId);
+    if (coverUrl && isCurrent()) {
+      img.src = coverUrl;
+      return true;
+    }
+  } catch (e) {
+    console.warn('Failed to load book cover:', e);
+  }
+  return false;
+}
+
 /**
  * Check if there's a saved book to resume
  */
 async function checkForSavedBook() {
-  const savedBook = getBookReference();
+  const savedBook = getBookReference(getCurrentBookId());
+  if (!savedBook) return;
+
+  await openLibraryBook(savedBook.id);
+}
+
+/**
+ * Show the resume prompt for a book from the library
+ * @param {string} bookId - Book ID
+ */
+async function openLibraryBook(bookId) {
+  const savedBook = getBookReference(bookId);
   if (!savedBook) return;
 
+  // Already open - no need to reload the file
+  if (bookId === currentBookId && bookData) {
+    displayBookInfo(bookData);
+    showBookInfoScreen();
+    return;
+  }
+
+  // Switching books - keep the place in the one we're leaving
+  saveCurrentPosition();
+  cancelChapterIndicator();
+  engine?.destroy();
+  engine = null;
+  bookData = null;
+  tokens = null;
+  readingScope = null;
+  currentFile = null;
+  currentFileHandle = null;
+
+  currentBookId = bookId;
+  setCurrentBookId(bookId);
+
   // Check if we can load the file automatically
-  const fileStatus = await checkSavedFileStatus();
+  let fileStatus;
+  try {
+    fileStatus = await checkSavedFileStatus(bookId);
+  } catch (e) {
+    console.warn('Failed to check saved file:', e);
+  }
   showResumePrompt(savedBook, fileStatus);
 }
 
+/**
+ * Remove a book, its position and its cached file from the library
+ * @param {string} bookId - Book ID
+ */
+async function removeLibraryBook(bookId) {
+  removeBookReference(bookId);
+  try {
+    await Promise.all([clearSavedFile(bookId), clearCover(bookId)]);
+  } catch (e) {
+    console.warn('Failed to clear saved file:', e);
+  }
+
+  if (bookId === currentBookId) {
+    cancelChapterIndicator();
+    engine?.destroy();
+    engine = null;
+    bookData = null;
+    tokens = null;
+    readingScope = null;
+    currentBookId = null;
+  }
+
+  renderLibrary();
+}
+
+/**
+ * Get reading progress for a library book
+ * @param {Object} savedBook - Saved book reference
+ * @returns {number} Percent read (0-100)
+ */
+function getBookProgress(savedBook) {
+  const position = getReadingPosition(savedBook.id);
+  if (!position || !savedBook.totalWords) return 0;
+
+  // Positions saved with a progress value measured it over the included sections
+  const progress = position.progress ?? (position.wordIndex / savedBook.totalWords) * 100;
+  return Math.min(100, Math.round(progress));
+}
+
+/**
+ * Render the library list on the landing screen
+ */
+function renderLibrary() {
+  if (!librarySection || !libraryListEl) return;
+
+  const books = getLibrary();
+  librarySection.classList.toggle('hidden', books.length === 0);
+  libraryListEl.innerHTML = '';
+
+  books.forEach((savedBook) => {
+    const li = document.createElement('li');
+    li.className = 'library-item';
+
+    const cover = document.createElement('div');
+    cover.className = 'library-cover';
+    if (savedBook.hasCover) {
+      const img = document.createElement('img');
+      img.alt = '';
+      showStoredCover(savedBook.id, img).then((shown) => shown && cover.appendChild(img));
+    }
+
+    const details = document.createElement('div');
+    details.className = 'library-details';
+
+    const title = document.createElement('span');
+    title.className = 'library-title';
+    title.textContent = savedBook.title;
+
+    const author = document.createElement('span');
+    author.className = 'library-author';
+    author.textContent = savedBook.author;
+
+    const progress = getBookProgress(savedBook);
+    const progressEl = document.createElement('span');
+    progressEl.className = 'library-progress';
+    progressEl.textContent = progress > 0 ? `${progress}% read` : 'Not started';
+
+    details.append(title, author, progressEl);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'library-remove';
+    removeBtn.setAttribute('aria-label', `Remove ${savedBook.title} from library`);
+    removeBtn.textContent = '✕';
+    removeBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (confirm(`Remove "${savedBook.title}" and its reading progress?`)) {
+        removeLibraryBook(savedBook.id);
+      }
+    });
+
+    li.append(cover, details, removeBtn);
+    li.addEventListener('click', () => openLibraryBook(savedBook.id));
+
+    libraryListEl.appendChild(li);
+  });
+}
+
+/**
+ * Save the reading position of the open book
+ */
+function saveCurrentPosition() {
+  if (!engine || !tokens || !currentBookId) return;
+
+  const index = engine.getCurrentIndex();
+  const token = tokens[index];
+  if (token) {
+    saveReadingPosition(currentBookId, index, token.chapterIndex, readingScope?.getProgress(index));
+  }
+}
+
 /**
  * Show resume prompt for saved book
  * @param {Object} savedBook - Saved book reference
  * @param {Object} fileStatus - { available, requiresPermission }
  */
 function showResumePrompt(savedBook, fileStatus = { available: false, requiresPermission: false }) {
+  // Sections can only be listed once the book is parsed
+  bookSectionsEl?.classList.add('hidden');
+
   bookTitleEl.textContent = savedBook.title;
   bookAuthorEl.textContent = savedBook.author;
   bookStatsEl.textContent = `${savedBook.totalWords.toLocaleString()} words · ${savedBook.chapterCount} chapters`;
 
-  if (savedBook.coverUrl) {
-    bookCover.src = savedBook.coverUrl;
-    coverPlaceholder.style.display = 'none';
-  } else {
-    bookCover.src = '';
-    coverPlaceholder.style.display = 'flex';
+  // The cover replaces the placeholder once it has been read from IndexedDB
+  bookCover.src = '';
+  coverPlaceholder.style.display = 'flex';
+  if (savedBook.hasCover) {
+    const isCurrent = () => currentBookId === savedBook.id && !bookData;
+    showStoredCover(savedBook.id, bookCover, isCurrent).then((shown) => {
+      if (shown) coverPlaceholder.style.display = 'none';
+    });
   }
 
   // Configure button based on file availability
@@ -260,10 +715,9 @@ function showResumePrompt(savedBook, fileStatus = { available: false, requiresPe
     if (fileStatus.requiresPermission) {
       startReadingBtn.textContent = 'Continue Reading (Grant Access)';
     } else {
-      const savedPosition = getReadingPosition();
+      const savedPosition = getReadingPosition(savedBook.id);
       if (savedPosition && savedPosition.wordIndex > 0) {
-        const progress = Math.round((savedPosition.wordIndex / savedBook.totalWords) * 100);
-        startReadingBtn.textContent = `Continue Reading (${progress}%)`;
+        startReadingBtn.textContent = `Continue Reading (${getBookProgress(savedBook)}%)`;
       } else {
         startReadingBtn.textContent = 'Load Saved Book';
       }
@@ -288,7 +742,6 @@ function showResumePrompt(savedBook, fileStatus = { available: false, requiresPe
     }
   }
 
-  chooseDifferentBtn.textContent = 'Choose Different Book';
   showBookInfoScreen();
 }
 
@@ -296,7 +749,7 @@ function showResumePrompt(savedBook, fileStatus = { available: false, requiresPe
  * Attempt to reload the saved file and start reading immediately
  */
 async function handleReloadSavedFile() {
-  const savedBook = getBookReference();
+  const savedBook = getBookReference(currentBookId);
   if (!savedBook) {
     handleError(new Error('No saved book found'));
     return;
@@ -306,30 +759,39 @@ async function handleReloadSavedFile() {
     startReadingBtn.disabled = true;
     startReadingBtn.textContent = 'Loading...';
 
-    const file = await loadSavedFile();
+    const file = await loadSavedFile(savedBook.id);
 
     if (file) {
-      // Verify file matches what we expect
-      if (file.name === savedBook.fileName && file.size === savedBook.fileSize) {
+      // Verify file content matches what we expect
+      if ((await computeBookId(file)) === savedBook.id) {
         // Load the book data
         currentFile = file;
-        bookData = await parseEpub(file);
-        tokens = tokenizeChapters(bookData.chapters);
-        isResumingBook = true; // Mark as resume
+        bookData = await parseBook(file);
+        // Pasted text was saved under the title typed for it, not its file name
+        if (savedBook.source === 'paste') {
+          bookData.metadata.title = savedBook.title;
+        }
+        tokens = tokenizeChapters(bookData.chapters, { language: bookData.metadata.language });
+        loadReadingScope();
+
+        // Books imported from another browser get their cover back when opened
+        if (!savedBook.hasCover && (await saveBookCover(savedBook.id, bookData))) {
+          markCoverStored(savedBook.id);
+        }
 
         // Start reading immediately
         startReading();
       } else {
         // File changed - notify user
         handleError(new Error('The saved file has been modified. Please select it again.'));
-        await clearSavedFile();
-        await checkForSavedBook();
+        await clearSavedFile(savedBook.id);
+        await openLibraryBook(savedBook.id);
       }
     } else {
       // Permission denied or file not available
       handleError(new Error('Could not access the saved file. Please select it again.'));
-      await clearSavedFile();
-      showLandingScreen();
+      await clearSavedFile(savedBook.id);
+      await openLibraryBook(savedBook.id);
     }
   } catch (error) {
     handleError(error);
@@ -341,43 +803,45 @@ async function handleReloadSavedFile() {
 
 /**
  * Handle a loaded file
- * @param {File} file - The EPUB file
+ * @param {File} file - The EPUB, text, Markdown or HTML file
  * @param {FileSystemFileHandle|null} handle - The file handle (if available)
  */
 async function handleFile(file, handle = null) {
   try {
+    // Keep the place in the previously open book before switching
+    saveCurrentPosition();
+    cancelChapterIndicator();
+    engine?.destroy();
+    engine = null;
+
     currentFile = file;
     currentFileHandle = handle;
     landingScreen.classList.add('loading');
 
-    console.log('Parsing EPUB:', file.name);
-    bookData = await parseEpub(file);
+    console.log('Parsing book:', file.name);
+    bookData = await parseBook(file);
     console.log('Book loaded:', bookData.metadata.title);
     console.log('Chapters:', bookData.chapters.length);
     console.log('Total words:', bookData.totalWords);
 
-    tokens = tokenizeChapters(bookData.chapters);
+    tokens = tokenizeChapters(bookData.chapters, { language: bookData.metadata.language });
     console.log('Tokens generated:', tokens.length);
 
-    const isResume = isMatchingSavedBook(file);
-    isResumingBook = isResume;
-
-    // Clear old position data when loading a new book
-    if (!isResume) {
-      clearBookData();
-      clearReadingPosition(); // Explicit double-clear for safety
-    }
-
-    saveBookReference(bookData, file);
+    const bookId = await computeBookId(file);
+    currentBookId = bookId;
+    setCurrentBookId(bookId);
+    saveBookReference(bookId, bookData, file);
+    await saveBookCover(bookId, bookData);
+    loadReadingScope();
 
     // Save file access for future reloads
     try {
-      await saveFileAccess(file, handle);
+      await saveFileAccess(bookId, file, handle);
     } catch (e) {
       console.warn('Failed to save file access:', e);
     }
 
-    displayBookInfo(bookData, isResume);
+    displayBookInfo(bookData);
 
     landingScreen.classList.remove('loading');
     showBookInfoScreen();
@@ -387,12 +851,134 @@ async function handleFile(file, handle = null) {
   }
 }
 
+/**
+ * Wire up the paste text overlay on the landing screen
+ */
+function initPasteOverlay() {
+  if (!pasteOverlay || !pasteTextBtn) return;
+
+  pasteTextBtn.addEventListener('click', showPasteOverlay);
+  pasteCancelBtn.addEventListener('click', hidePasteOverlay);
+  pasteOverlay.querySelector('.overlay-backdrop')?.addEventListener('click', hidePasteOverlay);
+
+  pasteOverlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      hidePasteOverlay();
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      handlePastedText();
+    }
+  });
+
+  pasteTextarea.addEventListener('input', updatePasteReadButton);
+
+  pasteClipboardBtn.addEventListener('click', async () => {
+    try {
+      const text = await navigator.clipboard.readText();
+      pasteTextarea.value = text;
+      updatePasteReadButton();
+    } catch (e) {
+      console.warn('Clipboard read failed:', e);
+      pasteTextarea.placeholder = 'Clipboard access was denied - paste with Ctrl+V / Cmd+V';
+    }
+    pasteTextarea.focus();
+  });
+
+  pasteReadBtn.addEventListener('click', handlePastedText);
+
+  // Clipboard API is not available everywhere (e.g. Firefox, insecure contexts)
+  if (!navigator.clipboard?.readText) {
+    pasteClipboardBtn.classList.add('hidden');
+  }
+}
+
+/**
+ * Show the paste text overlay
+ */
+function showPasteOverlay() {
+  pasteTitleInput.value = '';
+  pasteTextarea.value = '';
+  updatePasteReadButton();
+  pasteOverlay.classList.remove('hidden');
+  pasteTextarea.focus();
+}
+
+/**
+ * Hide the paste text overlay
+ */
+function hidePasteOverlay() {
+  pasteOverlay.classList.add('hidden');
+}
+
+/**
+ * Only allow reading once there is some text
+ */
+function updatePasteReadButton() {
+  pasteReadBtn.disabled = pasteTextarea.value.trim().length === 0;
+}
+
+/**
+ * Open the pasted text in the reader, optionally saving it to the library
+ */
+async function handlePastedText() {
+  const text = pasteTextarea.value.trim();
+  if (!text) return;
+
+  // Default title: the first line, shortened
+  const firstLine = text.split('\n', 1)[0].trim();
+  const title =
+    pasteTitleInput.value.trim() ||
+    (firstLine.length > 40 ? `${firstLine.slice(0, 40).trim()}…` : firstLine) ||
+    'Pasted text';
+
+  // Pasted text is read as a plain text file so it splits into chapters
+  // (and reloads from the library) exactly like an imported .txt
+  const fileName = `${title.replace(/[\\/:*?"<>|]+/g, ' ').trim() || 'Pasted text'}.txt`;
+  const file = new File([text], fileName, { type: 'text/plain' });
+
+  try {
+    saveCurrentPosition();
+    cancelChapterIndicator();
+    engine?.destroy();
+    engine = null;
+
+    bookData = await parseBook(file);
+    // Keep the typed title as is - the file name can't hold every character
+    bookData.metadata.title = title;
+    tokens = tokenizeChapters(bookData.chapters, { language: bookData.metadata.language });
+    currentFile = file;
+    currentFileHandle = null;
+
+    if (pasteSaveCheckbox.checked) {
+      currentBookId = await computeBookId(file);
+      setCurrentBookId(currentBookId);
+      saveBookReference(currentBookId, bookData, file, { source: 'paste' });
+      await saveBookCover(currentBookId, bookData);
+
+      try {
+        await saveFileAccess(currentBookId, file);
+      } catch (e) {
+        console.warn('Failed to save file access:', e);
+      }
+    } else {
+      // Unsaved text has no library entry, so no position is kept
+      currentBookId = null;
+    }
+    loadReadingScope();
+
+    hidePasteOverlay();
+    displayBookInfo(bookData);
+    startReading();
+  } catch (error) {
+    hidePasteOverlay();
+    handleError(error);
+  }
+}
+
 /**
  * Display book info on the info screen
  * @param {Object} data - Parsed book data
- * @param {boolean} isResume - Whether resuming a previous session
  */
-function displayBookInfo(data, isResume) {
+function displayBookInfo(data) {
   bookTitleEl.textContent = data.metadata.title;
   bookAuthorEl.textContent = data.metadata.author;
   bookStatsEl.textContent = `${data.totalWords.toLocaleString()} words · ${data.chapters.length} chapters`;
@@ -415,17 +1001,102 @@ function displayBookInfo(data, isResume) {
   startReadingBtn.onclick = startReading;
   startReadingBtn.disabled = false;
 
-  if (isResume) {
-    const savedPosition = getReadingPosition();
-    if (savedPosition && savedPosition.wordIndex > 0) {
-      const progress = Math.round((savedPosition.wordIndex / data.totalWords) * 100);
-      startReadingBtn.textContent = `Resume Reading (${progress}%)`;
-    } else {
-      startReadingBtn.textContent = 'Start Reading';
-    }
+  const savedPosition = getReadingPosition(currentBookId);
+  if (savedPosition && savedPosition.wordIndex > 0) {
+    const progress = Math.round(readingScope.getProgress(savedPosition.wordIndex));
+    startReadingBtn.textContent = `Resume Reading (${progress}%)`;
   } else {
     startReadingBtn.textContent = 'Start Reading';
   }
+
+  renderSectionPicker();
+}
+
+/**
+ * Load which chapters of the open book are excluded and rebuild the
+ * reading scope. Books the user hasn't chosen for use the defaults.
+ */
+function loadReadingScope() {
+  const chapterIds = new Set(bookData.chapters.map((chapter) => chapter.id));
+  const saved = getExcludedSections(currentBookId);
+  excludedChapterIds = (saved ?? getDefaultExcludedIds(bookData.chapters)).filter((id) => chapterIds.has(id));
+  readingScope = createReadingScope(tokens, bookData.chapters, excludedChapterIds);
+}
+
+/**
+ * Change which chapters of the open book are excluded from reading
+ * @param {string[]|null} chapterIds - Chapter IDs, or null for the defaults
+ */
+function setExcludedChapters(chapterIds) {
+  if (chapterIds) {
+    saveExcludedSections(currentBookId, chapterIds);
+  } else {
+    clearExcludedSections(currentBookId);
+  }
+
+  if (chapterIds && !currentBookId) {
+    // Unsaved text keeps the choice for as long as it's open
+    excludedChapterIds = chapterIds;
+    readingScope = createReadingScope(tokens, bookData.chapters, excludedChapterIds);
+  } else {
+    loadReadingScope();
+  }
+
+  engine?.setExcludedRanges(readingScope.excludedRanges);
+
+  // The saved progress is measured over the included sections - bring it up to date
+  const position = getReadingPosition(currentBookId);
+  if (position) {
+    const progress = readingScope.getProgress(position.wordIndex);
+    saveReadingPosition(currentBookId, position.wordIndex, position.chapterIndex, progress);
+  }
+
+  displayBookInfo(bookData);
+}
+
+/**
+ * Render the section checkboxes on the book info screen
+ * Unchecked sections are skipped while reading.
+ */
+function renderSectionPicker() {
+  if (!bookSectionsEl || !bookSectionsList) return;
+  bookSectionsEl.classList.toggle('hidden', bookData.chapters.length < 2);
+
+  const excluded = new Set(excludedChapterIds);
+  bookSectionsSummary.textContent =
+    excluded.size > 0 ? `Sections (${excluded.size} skipped)` : 'Sections';
+
+  bookSectionsList.replaceChildren(
+    ...bookData.chapters.map((chapter, index) => {
+      const label = document.createElement('label');
+      label.className = 'reading-option';
+      label.style.paddingLeft = `${(chapter.depth || 0) * 1.25}rem`;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !excluded.has(chapter.id);
+      checkbox.addEventListener('change', () => {
+        const ids = bookData.chapters
+          .filter((c) => (c.id === chapter.id ? !checkbox.checked : excluded.has(c.id)))
+          .map((c) => c.id);
+        setExcludedChapters(ids);
+      });
+
+      const title = document.createElement('span');
+      title.textContent = chapter.title || `Chapter ${index + 1}`;
+      label.append(checkbox, title);
+
+      const sectionLabel = getSectionLabel(chapter);
+      if (sectionLabel) {
+        const type = document.createElement('span');
+        type.className = 'section-type';
+        type.textContent = sectionLabel;
+        label.appendChild(type);
+      }
+
+      return label;
+    })
+  );
 }
 
 /**
@@ -437,30 +1108,47 @@ function startReading() {
     return;
   }
 
+  cancelChapterIndicator();
   if (engine) {
     engine.destroy();
   }
 
+  startSession(currentBookId, bookData.metadata.title);
+  resetSearch();
+  chapterStatsStart = null;
+  chapterBreakIndex = null;
+  hideChapterComplete();
+  applyBookLanguage();
+
   engine = createRsvpEngine({
     tokens,
     wpm: preferences.wpm,
+    minWpm: preferences.wpmMin,
+    maxWpm: preferences.wpmMax,
     chunkSize: preferences.chunkSize || 1,
+    timingModel: getTimingModel(preferences),
+    warmup: getWarmupConfig(),
+    training: getTrainingConfig(),
+    excludedRanges: readingScope.excludedRanges,
+    getInsertion: getNoteInsertion,
     onWord: handleWord,
     onStateChange: handleStateChange,
     onProgress: handleProgress,
+    onRateChange: handleRateChange,
     onEnd: handleEnd,
   });
 
-  // Restore position only if resuming the same book
-  if (isResumingBook) {
-    const savedPosition = getReadingPosition();
-    if (
-      savedPosition &&
-      savedPosition.wordIndex > 0 &&
-      savedPosition.wordIndex < tokens.length
-    ) {
-      engine.seekTo(savedPosition.wordIndex);
-    }
+  // Restore this book's saved position
+  const savedPosition = getReadingPosition(currentBookId);
+  if (
+    savedPosition &&
+    savedPosition.wordIndex > 0 &&
+    savedPosition.wordIndex < tokens.length
+  ) {
+    engine.seekTo(savedPosition.wordIndex);
+  } else if (!savedPosition) {
+    // New book - start after the skipped front matter
+    engine.seekTo(readingScope.getFirstIncludedIndex());
   }
 
   updateWpmDisplay(preferences.wpm);
@@ -469,6 +1157,9 @@ function startReading() {
   statusIndicator.classList.remove('playing');
 
   showReaderScreen();
+  renderContextPanel();
+
+  updateWordSplitter();
 
   // Initialize tap controls for all devices (mobile and desktop)
   initTapControls();
@@ -478,17 +1169,124 @@ function startReading() {
   updateMobileUI();
 }
 
+/**
+ * Set the language and text direction of the reader from the open book
+ * Single words pick their own direction (see displaySingleWord).
+ */
+function applyBookLanguage() {
+  bookDirection = getBookDirection(bookData.metadata);
+  currentWordEl.lang = bookData.metadata.language || '';
+  currentWordEl.classList.toggle('rtl', bookDirection === 'rtl');
+  if (contextPanel) {
+    contextPanel.lang = currentWordEl.lang;
+    contextPanel.dir = bookDirection;
+  }
+}
+
+/**
+ * Give the engine a long word splitter for the open book's language, or
+ * none if splitting is off
+ * The hyphenation patterns load in the background; the engine splits
+ * words once they are ready.
+ */
+async function updateWordSplitter() {
+  if (!engine) return;
+
+  if (!preferences.splitLongWords) {
+    engine.setWordSplitter(null);
+    return;
+  }
+
+  const bookId = currentBookId;
+  const hyphenate = await loadHyphenator(bookData.metadata.language);
+  // Another book may have been opened, or splitting turned off, meanwhile
+  if (!engine || bookId !== currentBookId || !preferences.splitLongWords) return;
+
+  engine.setWordSplitter(createWordSplitter({ maxLength: preferences.splitWordLength, hyphenate }));
+}
+
+/**
+ * Build the engine's warm-up settings from preferences
+ * @returns {Object|null} Warm-up config, or null when disabled
+ */
+function getWarmupConfig() {
+  if (!preferences.warmupEnabled) return null;
+  return {
+    unit: preferences.warmupUnit,
+    amount: preferences.warmupAmount,
+    startFactor: preferences.warmupStartPercent / 100,
+  };
+}
+
+/**
+ * Build the engine's training mode settings from preferences
+ * @returns {Object|null} Training config, or null when disabled
+ */
+function getTrainingConfig() {
+  if (!preferences.trainingEnabled) return null;
+  return {
+    wpmPerMinute: preferences.trainingWpmPerMinute,
+    ceilingWpm: preferences.trainingCeilingWpm,
+  };
+}
+
+/**
+ * Show warm-up and training rate changes in the status bar
+ * @param {Object} status - Rate status from the engine
+ */
+function handleRateChange(status) {
+  if (status.isWarmingUp) {
+    wpmDisplay.textContent = `${status.wpm} → ${status.targetWpm} WPM`;
+  } else if (status.isTraining) {
+    wpmDisplay.textContent = `${status.wpm} WPM ↑`;
+  } else {
+    updateWpmDisplay(status.wpm);
+  }
+
+  if (engine?.getIsPlaying()) {
+    statusIndicator.textContent = status.isWarmingUp ? 'Warming up' : status.isTraining ? 'Training' : 'Playing';
+  }
+}
+
 /**
  * Handle word display update from the engine
  * @param {Object} data - Word data from engine
  */
 function handleWord(data) {
-  const { token, chunk, prevToken, nextToken, index, chunkSize } = data;
+  const { token, chunk, prevToken, nextToken, index, chunkSize, isInserted } = data;
+
+  // Footnote read inline - shown on its own, without the book's preview words
+  currentWordEl.classList.toggle('note', !!isInserted);
+  if (isInserted) {
+    if (chunkSize > 1) {
+      displayChunk(chunk);
+    } else {
+      displaySingleWord(token.word, token.continues);
+    }
+    updateWordStyle(chunk);
+    previewBeforeEl.textContent = '';
+    previewAfterEl.textContent = '';
+    return;
+  }
+
+  // Moving on from the chapter break that was just continued
+  if (index !== chapterBreakIndex) {
+    chapterBreakIndex = null;
+  }
 
   // Show chapter indicator on chapter change (before displaying word)
-  // Skip if we're already showing a chapter transition
-  if (token.isChapterStart && index > 0 && !currentWordEl.classList.contains('chapter-transition')) {
-    showChapterIndicator(token.chapterTitle);
+  // Skip if we're already showing a chapter transition or continuing from the card
+  if (
+    token.isChapterStart &&
+    index > 0 &&
+    index !== chapterBreakIndex &&
+    !currentWordEl.classList.contains('chapter-transition')
+  ) {
+    if (preferences.pauseBetweenChapters && engine?.getIsPlaying()) {
+      showChapterComplete(token, index);
+    } else {
+      showChapterIndicator(token.chapterTitle);
+    }
     return; // Don't display the word yet - chapter indicator will handle resume
   }
 
@@ -496,66 +1294,391 @@ function handleWord(data) {
   if (chunkSize > 1) {
     displayChunk(chunk);
   } else {
-    displaySingleWord(token.word);
+    displaySingleWord(token.word, token.continues);
+  }
+  updateWordStyle(chunkSize > 1 ? chunk : [token]);
+  updatePeripheralPreview(index, chunkSize);
+
+  // Keep the context panel in sync when stepping or seeking while paused
+  if (engine && !engine.getIsPlaying()) {
+    renderContextPanel();
+    updateNoteIndicator();
   }
 }
 
 /**
- * Display a single word with ORP highlighting
- * Uses CSS flexbox two-container layout - no JS measurement needed.
- * Left container (right-aligned) contains before+ORP, right container (left-aligned) contains after.
- * @param {string} word - The word to display
+ * Get the notes of the words currently on screen
+ * @returns {string[]} Note texts
  */
-function displaySingleWord(word) {
-  currentWordEl.classList.remove('chunk-mode');
-  const { before, orp, after } = splitWordAtOrp(word);
+function getCurrentNotes() {
+  if (!engine || !tokens) return [];
 
-  // Update the text - CSS handles positioning automatically
-  wordBeforeEl.textContent = before;
-  wordOrpEl.textContent = orp;
-  wordAfterEl.textContent = after;
+  const index = engine.getCurrentIndex();
+  return tokens.slice(index, index + engine.getChunkSize()).flatMap((token) => token.notes || []);
 }
 
 /**
- * Display a chunk of words
- * For chunks, center the entire text without ORP split (research shows chunks require eye movement anyway)
- * @param {Array} chunk - Array of token objects
+ * Show the footnote button while paused on a word that has notes
  */
-function displayChunk(chunk) {
-  currentWordEl.classList.add('chunk-mode');
+function updateNoteIndicator() {
+  if (!noteIndicator) return;
 
-  // For chunks, center the entire text without ORP
-  const text = chunk.map((t) => t.word).join(' ');
+  const notes = engine && !engine.getIsPlaying() && !engine.getIsInserting() ? getCurrentNotes() : [];
+  noteIndicator.classList.toggle('hidden', notes.length === 0);
+  noteIndicator.textContent = notes.length > 1 ? `${notes.length} notes` : 'Note';
 
-  // Clear left container, put all text in right container (centered via CSS)
-  wordBeforeEl.textContent = '';
-  wordOrpEl.textContent = '';
-  wordAfterEl.textContent = text;
+  if (notes.length === 0) {
+    hideNotePopover();
+  } else if (!notePopover.classList.contains('hidden')) {
+    renderNotePopover(notes);
+  }
 }
 
 /**
- * Show chapter indicator in center reading area
- * @param {string} title - Chapter title
+ * Open or close the footnote popover for the current word
  */
-function showChapterIndicator(title) {
-  if (!engine) return;
+function toggleNotePopover() {
+  if (!notePopover) return;
 
-  // Remember if we were playing
-  const wasPlaying = engine.getIsPlaying();
+  if (!notePopover.classList.contains('hidden')) {
+    hideNotePopover();
+    return;
+  }
+
+  const notes = getCurrentNotes();
+  if (notes.length === 0 || engine?.getIsPlaying()) return;
+
+  renderNotePopover(notes);
+  notePopover.classList.remove('hidden');
+  noteIndicator?.setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Fill the footnote popover
+ * @param {string[]} notes - Note texts
+ */
+function renderNotePopover(notes) {
+  notePopoverText.replaceChildren(
+    ...notes.map((note) => {
+      const p = document.createElement('p');
+      p.textContent = note;
+      return p;
+    })
+  );
+}
+
+/**
+ * Close the footnote popover
+ */
+function hideNotePopover() {
+  notePopover?.classList.add('hidden');
+  noteIndicator?.setAttribute('aria-expanded', 'false');
+}
+
+/**
+ * Get the footnotes to read after the chunk at an index
+ * With inline notes on, the notes of a sentence are read once it ends.
+ * @param {number} index - Index of the chunk just shown
+ * @param {number} chunkSize - Words in the chunk
+ * @returns {Array|null} Note tokens, or null if there are none
+ */
+function getNoteInsertion(index, chunkSize) {
+  if (!preferences.readNotesInline || !tokens) return null;
+
+  // The last sentence (or paragraph) ending in the chunk
+  let end = -1;
+  for (let i = Math.min(index + chunkSize, tokens.length) - 1; i >= index; i--) {
+    if (tokens[i].hasSentenceEnd || tokens[i].isParagraphEnd) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) return null;
+
+  // Collect notes back to the end of the previous sentence
+  const notes = [];
+  const stop = Math.max(0, end - NOTE_LOOKBACK_WORDS);
+  for (let i = end; i >= stop; i--) {
+    if (i < end && (tokens[i].hasSentenceEnd || tokens[i].isParagraphEnd)) break;
+    if (tokens[i].notes) {
+      notes.unshift(...tokens[i].notes.map((note) => ({ note, token: tokens[i] })));
+    }
+  }
+
+  if (notes.length === 0) return null;
+  return notes.flatMap(({ note, token }) => tokenizeNote(note, token, bookData?.metadata.language));
+}
+
+/**
+ * Render the paragraph around the current word into the context panel
+ * Only shown while paused and when enabled in preferences.
+ */
+function renderContextPanel() {
+  if (!contextPanel) return;
+
+  const visible = preferences.showContextPanel && engine && tokens && !engine.getIsPlaying();
+  contextPanel.classList.toggle('hidden', !visible);
+  if (!visible) return;
+
+  const index = engine.getCurrentIndex();
+  const chunkEnd = index + engine.getChunkSize() - 1;
+  const paragraph = getParagraphBounds(tokens, index);
+  let { start, end } = paragraph;
+
+  // Very long paragraphs (or unstructured text) - show a window around the word
+  if (end - start + 1 > CONTEXT_MAX_WORDS) {
+    start = Math.max(start, index - Math.floor(CONTEXT_MAX_WORDS / 2));
+    end = Math.min(end, start + CONTEXT_MAX_WORDS - 1);
+  }
+
+  const fragment = document.createDocumentFragment();
+  if (start > paragraph.start) fragment.append('… ');
+
+  for (let i = start; i <= end; i++) {
+    const span = document.createElement('span');
+    span.className = 'context-word';
+    span.dataset.index = i;
+    span.textContent = tokens[i].word;
+    span.classList.toggle('heading', !!tokens[i].isHeading);
+    span.classList.toggle('emphasized', !!tokens[i].isEmphasized);
+    if (i >= index && i <= chunkEnd) {
+      span.classList.add('current');
+    }
+    fragment.append(span, ' ');
+  }
+
+  if (end < paragraph.end) fragment.append('…');
+
+  contextPanel.replaceChildren(fragment);
+  contextPanel.querySelector('.current')?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Show dimmed previous and upcoming words around the current word or chunk
+ * Preview words stay within the current chapter.
+ * @param {number} index - Index of the first displayed token
+ * @param {number} chunkSize - Number of displayed tokens
+ */
+function updatePeripheralPreview(index, chunkSize) {
+  const count = preferences.showPeripheralPreview && tokens ? preferences.peripheralWordCount || 1 : 0;
+  const chapterIndex = tokens?.[index]?.chapterIndex;
+  const sameChapter = (t) => t.chapterIndex === chapterIndex;
+
+  // Chunks are centered as a whole, so the previous words move next to them
+  if (chunkSize > 1) {
+    wordRightEl.prepend(previewBeforeEl);
+  } else {
+    wordLeftEl.prepend(previewBeforeEl);
+  }
+
+  if (count === 0) {
+    previewBeforeEl.textContent = '';
+    previewAfterEl.textContent = '';
+    return;
+  }
+
+  previewBeforeEl.textContent = tokens
+    .slice(Math.max(0, index - count), index)
+    .filter(sameChapter)
+    .map((t) => t.word)
+    .join(' ');
+  previewAfterEl.textContent = tokens
+    .slice(index + chunkSize, index + chunkSize + count)
+    .filter(sameChapter)
+    .map((t) => t.word)
+    .join(' ');
+}
+
+/**
+ * Toggle the peripheral preview of previous and next words
+ */
+function togglePeripheralPreview() {
+  preferences.showPeripheralPreview = !preferences.showPeripheralPreview;
+  savePreferences({ showPeripheralPreview: preferences.showPeripheralPreview });
+  btnPeripheral?.classList.toggle('active', preferences.showPeripheralPreview);
+  if (engine) {
+    updatePeripheralPreview(engine.getCurrentIndex(), engine.getChunkSize());
+  }
+  showTemporaryNotification(`Peripheral preview: ${preferences.showPeripheralPreview ? 'on' : 'off'}`);
+}
+
+/**
+ * Cycle the number of preview words on each side (1 to MAX_PERIPHERAL_WORDS)
+ */
+function cyclePeripheralWordCount() {
+  const count = ((preferences.peripheralWordCount || 1) % MAX_PERIPHERAL_WORDS) + 1;
+  preferences.peripheralWordCount = count;
+  preferences.showPeripheralPreview = true;
+  savePreferences({ peripheralWordCount: count, showPeripheralPreview: true });
+  btnPeripheral?.classList.add('active');
+  if (engine) {
+    updatePeripheralPreview(engine.getCurrentIndex(), engine.getChunkSize());
+  }
+  showTemporaryNotification(`Peripheral preview: ${count} ${count === 1 ? 'word' : 'words'} each side`);
+}
+
+/**
+ * Toggle the paused context panel
+ */
+function toggleContextPanel() {
+  preferences.showContextPanel = !preferences.showContextPanel;
+  savePreferences({ showContextPanel: preferences.showContextPanel });
+  btnContext?.classList.toggle('active', preferences.showContextPanel);
+  renderContextPanel();
+  showTemporaryNotification(`Context view: ${preferences.showContextPanel ? 'on' : 'off'}`);
+}
+
+/**
+ * Display a single word with ORP highlighting
+ * Uses CSS flexbox two-container layout - no JS measurement needed.
+ * Left container (right-aligned) contains before+ORP, right container (left-aligned) contains after.
+ * @param {string} word - The word to display
+ * @param {boolean} [continues=false] - Fragment of a split word with more to come
+ */
+function displaySingleWord(word, continues = false) {
+  currentWordEl.classList.remove('chunk-mode');
+  currentWordEl.classList.toggle('rtl', getWordDirection(word, bookDirection) === 'rtl');
+  const { before, orp, after } = splitWordAtOrp(word, bookData?.metadata.language);
+
+  // Update the text - CSS handles positioning automatically
+  wordBeforeEl.textContent = before;
+  wordOrpEl.textContent = orp;
+  wordAfterEl.textContent = after;
+
+  // Continuation marker, unless the fragment already ends in a hyphen
+  if (continues && !/[-‐–—]$/.test(word)) {
+    const marker = document.createElement('span');
+    marker.className = 'continuation';
+    marker.textContent = '-';
+    wordAfterEl.append(marker);
+  }
+}
+
+/**
+ * Display a chunk of words
+ * For chunks, center the entire text without ORP split (research shows chunks require eye movement anyway)
+ * @param {Array} chunk - Array of token objects
+ */
+function displayChunk(chunk) {
+  currentWordEl.classList.add('chunk-mode');
+  currentWordEl.classList.toggle('rtl', bookDirection === 'rtl');
+
+  // Clear left container, put all text in right container (centered via CSS)
+  wordBeforeEl.textContent = '';
+  wordOrpEl.textContent = '';
+
+  // For chunks, center the entire text without ORP; emphasized words in italics
+  const fragment = document.createDocumentFragment();
+  chunk.forEach((t, i) => {
+    if (i > 0) fragment.append(' ');
+    if (t.isEmphasized) {
+      const em = document.createElement('em');
+      em.textContent = t.word;
+      fragment.append(em);
+    } else {
+      fragment.append(t.word);
+    }
+  });
+  wordAfterEl.replaceChildren(fragment);
+}
+
+/**
+ * Style the displayed word(s) from their structure - headings and emphasis
+ * @param {Array} chunk - Array of displayed token objects
+ */
+function updateWordStyle(chunk) {
+  currentWordEl.classList.toggle('heading', chunk.every((t) => t.isHeading));
+  // Chunks italicize individual words in displayChunk
+  currentWordEl.classList.toggle('emphasized', chunk.length === 1 && !!chunk[0].isEmphasized);
+}
+
+/**
+ * Stop at the end of a chapter and show the chapter-complete card
+ * Reading continues only on an explicit play.
+ * @param {Object} token - First token of the next chapter
+ * @param {number} index - Index of that token
+ */
+function showChapterComplete(token, index) {
+  isAutomaticPause = true;
+  engine.pause();
+  isAutomaticPause = false;
+  chapterBreakIndex = index;
+
+  const finishedChapter = bookData.chapters[token.chapterIndex - 1];
+  const nextChapter = bookData.chapters[token.chapterIndex];
+  const stats = getSessionStats();
+
+  // Only what was read in this session counts
+  const wordsRead = stats && chapterStatsStart ? stats.wordsRead - chapterStatsStart.wordsRead : 0;
+  const elapsedMs = stats && chapterStatsStart ? stats.elapsedMs - chapterStatsStart.elapsedMs : 0;
+
+  chapterCompleteTitle.textContent = finishedChapter?.title || '';
+  chapterCompleteWords.textContent = wordsRead.toLocaleString();
+  chapterCompleteTime.textContent = formatDuration(elapsedMs);
+  chapterCompleteWpm.textContent = elapsedMs > 0 ? Math.round(wordsRead / (elapsedMs / 60000)) : '–';
+
+  chapterCompleteNextTitle.textContent = nextChapter?.title || token.chapterTitle;
+  chapterCompleteNextLength.textContent = nextChapter
+    ? `· ${nextChapter.wordCount.toLocaleString()} words · ${formatDuration((nextChapter.wordCount / engine.getWpm()) * 60000)}`
+    : '';
+  chapterCompletePauseToggle.checked = true;
+
+  chapterCompleteOverlay?.classList.remove('hidden');
+}
+
+/**
+ * Hide the chapter-complete card
+ */
+function hideChapterComplete() {
+  chapterCompleteOverlay?.classList.add('hidden');
+}
+
+/**
+ * Turn pausing between chapters on or off
+ * @param {boolean} enabled - True to stop at the end of each chapter
+ */
+function setPauseBetweenChapters(enabled) {
+  preferences.pauseBetweenChapters = enabled;
+  savePreferences({ pauseBetweenChapters: enabled });
+  if (pauseChaptersToggle) pauseChaptersToggle.checked = enabled;
+  if (chapterCompletePauseToggle) chapterCompletePauseToggle.checked = enabled;
+}
+
+/**
+ * Show chapter indicator in center reading area
+ * @param {string} title - Chapter title
+ */
+function showChapterIndicator(title) {
+  if (!engine) return;
+
+  // Remember if we were playing (a title replacing another one resumes like it would have)
+  const wasPlaying = engine.getIsPlaying() || !!pendingChapterTitle?.wasPlaying;
+  clearTimeout(pendingChapterTitle?.timer);
+  pendingChapterTitle = null;
 
   // Pause the engine
   if (wasPlaying) {
+    isAutomaticPause = true;
     engine.pause();
+    isAutomaticPause = false;
+    // The interstitial still counts as reading time
+    setSessionActive(true);
   }
 
   // Display chapter title in center word area
   currentWordEl.classList.add('chapter-transition');
+  currentWordEl.classList.toggle('rtl', getWordDirection(title, bookDirection) === 'rtl');
   wordBeforeEl.textContent = '';
   wordOrpEl.textContent = '';
   wordAfterEl.textContent = title;
-
-  // After 2.5 seconds, resume reading
-  setTimeout(() => {
+  previewBeforeEl.textContent = '';
+  previewAfterEl.textContent = '';
+
+  // After 2.5 seconds, resume reading - unless the book was closed or reopened meanwhile
+  const indicatorEngine = engine;
+  const timer = setTimeout(() => {
+    pendingChapterTitle = null;
+    if (engine !== indicatorEngine) return;
     currentWordEl.classList.remove('chapter-transition');
 
     // Display the first word of the chapter
@@ -587,6 +1710,22 @@ function showChapterIndicator(title) {
       engine.play();
     }
   }, 2500);
+  pendingChapterTitle = { timer, wasPlaying };
+}
+
+/**
+ * Drop a pending chapter title without resuming reading
+ * Stops the session clock the interstitial kept running.
+ */
+function cancelChapterIndicator() {
+  if (!pendingChapterTitle) return;
+
+  clearTimeout(pendingChapterTitle.timer);
+  pendingChapterTitle = null;
+  currentWordEl.classList.remove('chapter-transition');
+  if (!engine?.getIsPlaying()) {
+    setSessionActive(false, { countPause: false });
+  }
 }
 
 /**
@@ -594,7 +1733,11 @@ function showChapterIndicator(title) {
  * @param {boolean} isPlaying - Current playing state
  */
 function handleStateChange(isPlaying) {
+  setSessionActive(isPlaying, { countPause: !isAutomaticPause });
+
   if (isPlaying) {
+    hideChapterComplete();
+
     statusIndicator.textContent = 'Playing';
     statusIndicator.classList.add('playing');
 
@@ -610,6 +1753,9 @@ function handleStateChange(isPlaying) {
     if (tapControls) {
       tapControls.updatePlayPauseState(true);
     }
+
+    renderContextPanel();
+    updateNoteIndicator();
   } else {
     statusIndicator.textContent = 'Paused';
     statusIndicator.classList.remove('playing');
@@ -630,13 +1776,10 @@ function handleStateChange(isPlaying) {
     // Update step button states (only enabled when paused)
     updateStepButtonStates();
 
-    if (engine) {
-      const index = engine.getCurrentIndex();
-      const token = tokens[index];
-      if (token) {
-        saveReadingPosition(index, token.chapterIndex);
-      }
-    }
+    renderContextPanel();
+    updateNoteIndicator();
+    saveCurrentPosition();
+    persistReadingSession();
   }
 }
 
@@ -645,18 +1788,241 @@ function handleStateChange(isPlaying) {
  * @param {Object} data - Progress data
  */
 function handleProgress(data) {
-  progressDisplay.textContent = `${Math.round(data.progress)}%`;
+  const progress = readingScope ? readingScope.getProgress(data.currentIndex) : data.progress;
+  progressDisplay.textContent = `${Math.round(progress)}%`;
+
+  if (engine) {
+    recordPosition(data.currentIndex, engine.getChunkSize());
+  }
+
+  // Per-chapter stats for the chapter-complete card
+  const chapterIndex = data.currentToken?.chapterIndex;
+  if (chapterIndex !== undefined && chapterIndex !== chapterStatsStart?.chapterIndex) {
+    chapterStatsStart = { chapterIndex, ...getSessionStats() };
+  }
+  updateStatisticsHud(data);
 
   // Save position periodically while playing
   const now = Date.now();
   if (now - lastPositionSaveTime > POSITION_SAVE_INTERVAL && engine) {
     lastPositionSaveTime = now;
-    const index = engine.getCurrentIndex();
-    const token = tokens[index];
-    if (token) {
-      saveReadingPosition(index, token.chapterIndex);
-    }
+    saveCurrentPosition();
+  }
+}
+
+/**
+ * Update the statistics HUD from progress data
+ * @param {Object} data - Progress data from the engine
+ */
+function updateStatisticsHud(data) {
+  statsHud?.classList.toggle('hidden', !preferences.showStatisticsHud);
+  if (!statsHud || !preferences.showStatisticsHud || !engine || !data.currentToken) return;
+
+  const token = data.currentToken;
+  const chapter = bookData?.chapters[token.chapterIndex];
+
+  // Times follow the engine's rate (warm-up, training, word weights, excluded chapters)
+  const chapterWordsLeft = chapter ? chapter.wordCount - token.wordIndexInChapter : 0;
+  const chapterEnd = data.currentIndex + chapterWordsLeft;
+  hudChapterLeft.textContent = formatDuration(engine.estimateReadingTime(data.currentIndex, chapterEnd));
+  hudBookLeft.textContent = formatDuration(engine.estimateReadingTime(data.currentIndex, data.totalWords));
+
+  const stats = getSessionStats();
+  if (stats) {
+    hudWordsRead.textContent = stats.wordsRead.toLocaleString();
+    hudElapsed.textContent = formatDuration(stats.elapsedMs);
+    hudEffectiveWpm.textContent = stats.effectiveWpm ?? '–';
+  }
+}
+
+/**
+ * Toggle the statistics HUD
+ */
+function toggleStatisticsHud() {
+  preferences.showStatisticsHud = !preferences.showStatisticsHud;
+  savePreferences({ showStatisticsHud: preferences.showStatisticsHud });
+  refreshStatisticsHud();
+}
+
+/**
+ * Show or hide the statistics HUD to match preferences
+ */
+function refreshStatisticsHud() {
+  if (engine) {
+    updateStatisticsHud({
+      currentIndex: engine.getCurrentIndex(),
+      totalWords: tokens.length,
+      currentToken: tokens[engine.getCurrentIndex()],
+    });
+  } else {
+    statsHud?.classList.toggle('hidden', !preferences.showStatisticsHud);
+  }
+}
+
+/**
+ * Save the current reading session to the history
+ * Called on every pause, so the record is updated as the session goes on.
+ */
+function persistReadingSession() {
+  const record = getSessionRecord();
+  if (record) {
+    saveReadingSession(record).catch((err) => console.warn('Failed to save reading session:', err));
+  }
+}
+
+/**
+ * Show the reading stats screen
+ * @param {HTMLElement} returnScreen - Screen to return to
+ */
+async function showStatsScreen(returnScreen) {
+  statsReturnScreen = returnScreen;
+
+  let sessions = [];
+  try {
+    sessions = await getReadingSessions();
+  } catch (err) {
+    console.warn('Failed to load reading sessions:', err);
   }
+
+  renderReadingStats(sessions);
+
+  landingScreen.classList.add('hidden');
+  bookInfoScreen.classList.add('hidden');
+  readerScreen.classList.add('hidden');
+  settingsScreen.classList.add('hidden');
+  statsScreen.classList.remove('hidden');
+}
+
+/**
+ * Leave the reading stats screen
+ */
+function hideStatsScreen() {
+  statsScreen.classList.add('hidden');
+  (statsReturnScreen || landingScreen).classList.remove('hidden');
+}
+
+/**
+ * Render the reading stats dashboard
+ * @param {Array} sessions - Session records
+ */
+function renderReadingStats(sessions) {
+  const totals = getOverallTotals(sessions);
+  const streaks = getStreaks(sessions);
+
+  statsTotalTime.textContent = formatDuration(totals.durationMs);
+  statsTotalWords.textContent = totals.wordsRead.toLocaleString();
+  statsAverageWpm.textContent = totals.averageWpm ?? '–';
+  statsCurrentStreak.textContent = streaks.current;
+  statsLongestStreak.textContent = streaks.longest;
+
+  statsEmpty.classList.toggle('hidden', sessions.length > 0);
+  statsDetails.classList.toggle('hidden', sessions.length === 0);
+  if (sessions.length === 0) return;
+
+  // Daily totals - bar height is reading time
+  const days = getDailyTotals(sessions, 14);
+  const maxDuration = Math.max(...days.map((day) => day.durationMs), 1);
+  statsDaily.innerHTML = '';
+  days.forEach((day) => {
+    const bar = document.createElement('div');
+    bar.className = 'stats-bar';
+    bar.classList.toggle('empty', day.durationMs === 0);
+    bar.title = `${day.date}: ${formatDuration(day.durationMs)} · ${day.wordsRead.toLocaleString()} words`;
+
+    const fill = document.createElement('div');
+    fill.className = 'stats-bar-fill';
+    fill.style.height = `${(day.durationMs / maxDuration) * 100}%`;
+
+    const label = document.createElement('span');
+    label.textContent = Number(day.date.slice(-2));
+
+    bar.append(fill, label);
+    statsDaily.appendChild(bar);
+  });
+
+  renderWpmTrend(getDailyTotals(sessions, 30));
+
+  // Per-book time
+  statsBooks.innerHTML = '';
+  getBookTotals(sessions).forEach((book) => {
+    const li = document.createElement('li');
+
+    const title = document.createElement('span');
+    title.textContent = book.title;
+
+    const time = document.createElement('span');
+    time.className = 'stats-book-time';
+    time.textContent = `${formatDuration(book.durationMs)} · ${book.wordsRead.toLocaleString()} words`;
+
+    li.append(title, time);
+    statsBooks.appendChild(li);
+  });
+}
+
+/**
+ * Render the daily average WPM as a line chart
+ * @param {Array} days - Daily totals (days without reading have averageWpm null)
+ */
+function renderWpmTrend(days) {
+  statsWpmTrend.innerHTML = '';
+
+  const points = days
+    .map((day, i) => ({ x: i, wpm: day.averageWpm, date: day.date }))
+    .filter((point) => point.wpm !== null);
+
+  if (points.length === 0) {
+    statsWpmTrend.textContent = 'No reading in the last 30 days';
+    return;
+  }
+
+  const minWpm = Math.min(...points.map((p) => p.wpm));
+  const maxWpm = Math.max(...points.map((p) => p.wpm));
+  const range = Math.max(maxWpm - minWpm, 1);
+  const width = 300;
+  const height = 100;
+  const toX = (x) => (days.length > 1 ? (x / (days.length - 1)) * width : width / 2);
+  const toY = (wpm) => height - ((wpm - minWpm) / range) * (height - 10) - 5;
+
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(svgNs, 'svg');
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  const line = document.createElementNS(svgNs, 'polyline');
+  line.setAttribute('points', points.map((p) => `${toX(p.x)},${toY(p.wpm)}`).join(' '));
+  svg.appendChild(line);
+
+  points.forEach((p) => {
+    const dot = document.createElementNS(svgNs, 'circle');
+    dot.setAttribute('cx', toX(p.x));
+    dot.setAttribute('cy', toY(p.wpm));
+    dot.setAttribute('r', 2.5);
+    const title = document.createElementNS(svgNs, 'title');
+    title.textContent = `${p.date}: ${p.wpm} WPM`;
+    dot.appendChild(title);
+    svg.appendChild(dot);
+  });
+
+  const rangeLabel = document.createElement('div');
+  rangeLabel.className = 'stats-trend-range';
+  rangeLabel.innerHTML = `<span>${days[0].date}</span><span>${minWpm}–${maxWpm} WPM</span><span>Today</span>`;
+
+  statsWpmTrend.append(svg, rangeLabel);
+}
+
+/**
+ * Format a duration for display, e.g. "45s", "12m 05s" or "2h 10m"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+  return `${seconds}s`;
 }
 
 /**
@@ -667,7 +2033,7 @@ function handleEnd() {
   wordBeforeEl.textContent = '';
   wordOrpEl.textContent = 'The';
   wordAfterEl.textContent = ' End';
-  saveReadingPosition(tokens.length - 1, bookData.chapters.length - 1);
+  saveReadingPosition(currentBookId, tokens.length - 1, bookData.chapters.length - 1, 100);
 }
 
 /**
@@ -689,6 +2055,13 @@ function handleKeydown(event) {
     return;
   }
 
+  if (!settingsScreen.classList.contains('hidden')) {
+    if (event.code === 'Escape') {
+      hideSettingsScreen();
+    }
+    return;
+  }
+
   if (readerScreen.classList.contains('hidden')) {
     return;
   }
@@ -701,22 +2074,22 @@ function handleKeydown(event) {
 
     case 'ArrowUp':
       event.preventDefault();
-      if (engine) {
-        const newWpm = engine.setWpm(engine.getWpm() + 25);
-        updateWpmDisplay(newWpm);
-        preferences.wpm = newWpm;
-        savePreferences({ wpm: newWpm });
-      }
+      changeWpm(1);
       break;
 
     case 'ArrowDown':
       event.preventDefault();
-      if (engine) {
-        const newWpm = engine.setWpm(engine.getWpm() - 25);
-        updateWpmDisplay(newWpm);
-        preferences.wpm = newWpm;
-        savePreferences({ wpm: newWpm });
-      }
+      changeWpm(-1);
+      break;
+
+    case 'KeyW':
+      event.preventDefault();
+      startWpmEntry();
+      break;
+
+    case 'Comma':
+      event.preventDefault();
+      showSettingsScreen(readerScreen);
       break;
 
     case 'Digit1':
@@ -749,6 +2122,50 @@ function handleKeydown(event) {
       toggleChapterListOverlay();
       break;
 
+    case 'KeyB':
+      event.preventDefault();
+      addBookmarkAtCurrentPosition();
+      break;
+
+    case 'KeyM':
+      event.preventDefault();
+      toggleBookmarkListOverlay();
+      break;
+
+    case 'KeyX':
+      event.preventDefault();
+      toggleContextPanel();
+      break;
+
+    case 'Slash':
+      event.preventDefault();
+      showSearchOverlay();
+      break;
+
+    case 'KeyN':
+      event.preventDefault();
+      goToAdjacentSearchResult(event.shiftKey ? -1 : 1);
+      break;
+
+    case 'KeyI':
+      event.preventDefault();
+      toggleStatisticsHud();
+      break;
+
+    case 'KeyO':
+      event.preventDefault();
+      toggleNotePopover();
+      break;
+
+    case 'KeyP':
+      event.preventDefault();
+      if (event.shiftKey) {
+        cyclePeripheralWordCount();
+      } else {
+        togglePeripheralPreview();
+      }
+      break;
+
     case 'BracketLeft': // [
       event.preventDefault();
       goToPreviousChapter();
@@ -759,6 +2176,36 @@ function handleKeydown(event) {
       goToNextChapter();
       break;
 
+    case 'KeyH':
+      event.preventDefault();
+      if (event.shiftKey) {
+        goToPreviousParagraph();
+      } else {
+        goToPreviousSentence();
+      }
+      break;
+
+    case 'KeyL':
+      event.preventDefault();
+      if (event.shiftKey) {
+        goToNextParagraph();
+      } else {
+        goToNextSentence();
+      }
+      break;
+
+    case 'ArrowLeft':
+      if (!event.shiftKey) break;
+      event.preventDefault();
+      goToPreviousSentence();
+      break;
+
+    case 'ArrowRight':
+      if (!event.shiftKey) break;
+      event.preventDefault();
+      goToNextSentence();
+      break;
+
     case 'KeyJ':
       event.preventDefault();
       stepBackward();
@@ -783,9 +2230,17 @@ function handleKeydown(event) {
 
     case 'Escape':
       event.preventDefault();
-      // Close chapter list overlay if visible, otherwise go to menu
-      if (!chapterListOverlay?.classList.contains('hidden')) {
+      // Close an open overlay if visible, otherwise go to menu
+      if (!chapterCompleteOverlay?.classList.contains('hidden')) {
+        hideChapterComplete();
+      } else if (!notePopover?.classList.contains('hidden')) {
+        hideNotePopover();
+      } else if (!searchOverlay?.classList.contains('hidden')) {
+        hideSearchOverlay();
+      } else if (!chapterListOverlay?.classList.contains('hidden')) {
         hideChapterListOverlay();
+      } else if (!bookmarkListOverlay?.classList.contains('hidden')) {
+        hideBookmarkListOverlay();
       } else {
         engine?.pause();
         showBookInfoScreen();
@@ -795,11 +2250,433 @@ function handleKeydown(event) {
 }
 
 /**
- * Update WPM display
- * @param {number} wpm - Current WPM
+ * Update WPM display
+ * @param {number} wpm - Current WPM
+ */
+function updateWpmDisplay(wpm) {
+  wpmDisplay.textContent = `${wpm} WPM`;
+}
+
+/**
+ * Set the reading speed and remember it
+ * @param {number} wpm - Requested WPM (clamped to the configured range)
+ */
+function setReaderWpm(wpm) {
+  if (!engine) return;
+  const newWpm = engine.setWpm(Math.round(wpm));
+  updateWpmDisplay(newWpm);
+  preferences.wpm = newWpm;
+  savePreferences({ wpm: newWpm });
+}
+
+/**
+ * Raise or lower the reading speed by the configured step
+ * @param {number} direction - 1 for faster, -1 for slower
+ */
+function changeWpm(direction) {
+  if (engine) {
+    setReaderWpm(engine.getWpm() + direction * preferences.wpmStep);
+  }
+}
+
+/**
+ * Replace the WPM readout with a number field for typing a speed
+ * Enter or leaving the field applies it, Escape cancels.
+ */
+function startWpmEntry() {
+  if (!engine || document.getElementById('wpm-entry')) return;
+
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.id = 'wpm-entry';
+  input.min = preferences.wpmMin;
+  input.max = preferences.wpmMax;
+  input.step = preferences.wpmStep;
+  input.value = engine.getWpm();
+  input.setAttribute('aria-label', 'Words per minute');
+
+  let finished = false;
+  const finish = (apply) => {
+    if (finished) return;
+    finished = true;
+    const value = Number(input.value);
+    if (apply && input.value.trim() !== '' && Number.isFinite(value)) {
+      setReaderWpm(value);
+    }
+    input.remove();
+    wpmDisplay.classList.remove('hidden');
+  };
+
+  input.addEventListener('keydown', (e) => {
+    // Keep reader shortcuts from firing while typing
+    e.stopPropagation();
+    if (e.key === 'Enter') {
+      finish(true);
+    } else if (e.key === 'Escape') {
+      finish(false);
+    }
+  });
+  input.addEventListener('blur', () => finish(true));
+
+  wpmDisplay.classList.add('hidden');
+  wpmDisplay.after(input);
+  input.focus();
+  input.select();
+}
+
+/**
+ * Fill the settings choices and wire every control to its preference
+ * Controls name their preference in a data-pref attribute.
+ */
+function initSettingsScreen() {
+  Object.values(READING_FONTS).forEach((font) => {
+    settingFontFamily?.append(new Option(font.name, font.id));
+  });
+  getThemeIds().forEach((themeId) => {
+    settingTheme?.append(new Option(getThemeName(themeId), themeId));
+  });
+  if (settingFontSize) {
+    settingFontSize.min = FONT_SIZE_MIN;
+    settingFontSize.max = FONT_SIZE_MAX;
+    settingFontSize.step = FONT_SIZE_STEP;
+  }
+  if (settingsWpmHint) {
+    settingsWpmHint.textContent =
+      `Speeds from ${WPM_LIMITS.min} to ${WPM_LIMITS.max} WPM are supported. ` +
+      'The step applies to the arrow keys and the toolbar speed buttons.';
+  }
+
+  settingsControls.forEach((control) => {
+    // Sliders preview while dragging; other controls apply once committed
+    const eventName = control.type === 'range' ? 'input' : 'change';
+    control.addEventListener(eventName, () => {
+      updateSetting(control.dataset.pref, readSettingControl(control));
+    });
+  });
+
+  // Timing weights are stored together in one nested preference
+  timingWeightControls.forEach((control) => {
+    control.addEventListener('change', () => {
+      updateSetting('timingWeights', {
+        ...preferences.timingWeights,
+        [control.dataset.timingWeight]: control.value.trim() === '' ? null : Number(control.value),
+      });
+    });
+  });
+
+  settingsResetBtn?.addEventListener('click', resetSettings);
+
+  // Export and import of all reading data
+  settingsExportBtn?.addEventListener('click', exportReadingData);
+  settingsImportBtn?.addEventListener('click', () => settingsImportInput?.click());
+  settingsImportInput?.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow importing the same file again
+    if (file) importReadingData(file);
+  });
+}
+
+/**
+ * Show the settings screen
+ * @param {HTMLElement} returnScreen - Screen to return to
+ */
+function showSettingsScreen(returnScreen) {
+  settingsReturnScreen = returnScreen;
+  engine?.pause();
+  renderSettings();
+
+  landingScreen.classList.add('hidden');
+  bookInfoScreen.classList.add('hidden');
+  readerScreen.classList.add('hidden');
+  statsScreen.classList.add('hidden');
+  settingsScreen.classList.remove('hidden');
+
+  startSettingsPreview();
+}
+
+/**
+ * Leave the settings screen
+ */
+function hideSettingsScreen() {
+  stopSettingsPreview();
+  settingsScreen.classList.add('hidden');
+  (settingsReturnScreen || landingScreen).classList.remove('hidden');
+}
+
+/**
+ * Fill the settings controls from the current preferences
+ */
+function renderSettings() {
+  settingsControls.forEach((control) => {
+    const value = preferences[control.dataset.pref];
+    if (control.type === 'checkbox') {
+      control.checked = !!value;
+    } else {
+      control.value = value;
+    }
+  });
+
+  timingWeightControls.forEach((control) => {
+    control.value = preferences.timingWeights[control.dataset.timingWeight];
+    control.disabled = preferences.timingModel === 'uniform';
+  });
+
+  if (settingWpm) {
+    settingWpm.min = preferences.wpmMin;
+    settingWpm.max = preferences.wpmMax;
+    settingWpm.step = preferences.wpmStep;
+  }
+  if (settingFontSizeValue) {
+    settingFontSizeValue.textContent = `${preferences.fontSize}rem`;
+  }
+}
+
+/**
+ * Read a settings control as a preference value
+ * Blank number fields stay strings so validation falls back to the default.
+ * @param {HTMLInputElement|HTMLSelectElement} control - Control with a data-pref attribute
+ * @returns {*} Preference value
+ */
+function readSettingControl(control) {
+  if (control.type === 'checkbox') {
+    return control.checked;
+  }
+  if (typeof preferences[control.dataset.pref] === 'number' && control.value.trim() !== '') {
+    return Number(control.value);
+  }
+  return control.value;
+}
+
+/**
+ * Save one setting and apply it everywhere
+ * The controls are refreshed with the value storage actually kept.
+ * @param {string} key - Preference key
+ * @param {*} value - New value
+ */
+function updateSetting(key, value) {
+  savePreferences({ [key]: value });
+  preferences = getPreferences();
+  applyPreferences([key]);
+  renderSettings();
+  startSettingsPreview();
+}
+
+/**
+ * Restore every preference to its default
+ */
+function resetSettings() {
+  if (!confirm('Reset all settings to their defaults?')) return;
+
+  const defaults = getDefaultPreferences();
+  savePreferences(defaults);
+  preferences = getPreferences();
+  applyPreferences(Object.keys(defaults));
+  renderSettings();
+  startSettingsPreview();
+}
+
+/**
+ * Download all reading data as a JSON file (or a zip with the book files)
+ */
+async function exportReadingData() {
+  persistReadingSession();
+  settingsDataStatus.textContent = 'Preparing export…';
+
+  try {
+    const includeBooks = !!settingsExportBooks?.checked;
+    const { blob, fileName, bookFiles } = await createExport({ includeBooks });
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    settingsDataStatus.textContent = includeBooks
+      ? `Exported ${fileName} with ${pluralize(bookFiles, 'book file')}.`
+      : `Exported ${fileName}.`;
+  } catch (err) {
+    console.warn('Failed to export reading data:', err);
+    settingsDataStatus.textContent = `Export failed: ${err.message}`;
+  }
+}
+
+/**
+ * Import an export file, merging with or replacing the current data
+ * @param {File} file - JSON or zip export
+ */
+async function importReadingData(file) {
+  const replace = settingsImportMode?.value === 'replace';
+  if (replace && !confirm('Replace all current reading data with the contents of this file?')) return;
+
+  settingsDataStatus.textContent = 'Importing…';
+
+  try {
+    const exported = await readExportFile(file);
+    const counts = await importExport(exported, { replace });
+
+    preferences = getPreferences();
+    applyPreferences(Object.keys(preferences));
+    renderSettings();
+    startSettingsPreview();
+    renderLibrary();
+
+    settingsDataStatus.textContent = describeImport(counts);
+  } catch (err) {
+    console.warn('Failed to import reading data:', err);
+    settingsDataStatus.textContent = `Import failed: ${err.message}`;
+  }
+}
+
+/**
+ * Summarize what an import brought in
+ * @param {Object} counts - Counts from importExport
+ * @returns {string} Message for the settings screen
+ */
+function describeImport(counts) {
+  const parts = [
+    counts.books && pluralize(counts.books, 'book'),
+    counts.positions && pluralize(counts.positions, 'reading position'),
+    counts.bookmarks && pluralize(counts.bookmarks, 'bookmark'),
+    counts.sessions && pluralize(counts.sessions, 'reading session'),
+    counts.bookFiles && pluralize(counts.bookFiles, 'book file'),
+    counts.preferences && 'your settings',
+  ].filter(Boolean);
+
+  // Merging never changes settings; say so, since the file had some
+  const kept = counts.preferencesKept ? ' Your settings were kept - import with Replace to use the exported ones.' : '';
+
+  if (parts.length === 0) return `Nothing new to import.${kept}`;
+  const list = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+  return `Imported ${list}.${kept}`;
+}
+
+/**
+ * Format a count with a singular or plural noun
+ * @param {number} count - Count
+ * @param {string} noun - Singular noun (plural adds "s")
+ * @returns {string} e.g. "1 book", "3 books"
+ */
+function pluralize(count, noun) {
+  return `${count.toLocaleString()} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Apply changed preferences to the open book and the other screens
+ * @param {string[]} keys - Preference keys that changed
+ */
+function applyPreferences(keys) {
+  const changed = (...names) => names.some((name) => keys.includes(name));
+
+  if (engine && changed('wpm', 'wpmMin', 'wpmMax')) {
+    engine.setWpmRange(preferences.wpmMin, preferences.wpmMax);
+    updateWpmDisplay(engine.setWpm(preferences.wpm));
+  }
+  if (engine && changed('chunkSize')) {
+    const size = engine.setChunkSize(preferences.chunkSize);
+    updateChunkDisplay(size);
+    updateChunkIcon(size);
+  }
+  if (engine && changed('timingModel', 'timingWeights')) {
+    engine.setTimingModel(getTimingModel(preferences));
+  }
+  if (changed('splitLongWords', 'splitWordLength')) {
+    updateWordSplitter();
+  }
+  if (changed('fontFamily', 'fontSize')) {
+    applyFontPreferences();
+  }
+  if (changed('theme')) {
+    applyThemePreferences();
+  }
+  if (changed('showPeripheralPreview', 'peripheralWordCount')) {
+    btnPeripheral?.classList.toggle('active', preferences.showPeripheralPreview);
+    if (engine) {
+      updatePeripheralPreview(engine.getCurrentIndex(), engine.getChunkSize());
+    }
+  }
+  if (changed('showStatisticsHud')) {
+    refreshStatisticsHud();
+  }
+  if (changed('showContextPanel')) {
+    btnContext?.classList.toggle('active', preferences.showContextPanel);
+    renderContextPanel();
+  }
+  if (changed('readNotesInline') && engine?.getIsInserting()) {
+    // Drop a note being read inline
+    engine.seekTo(engine.getCurrentIndex());
+  }
+  if (changed('pauseBetweenChapters')) {
+    if (pauseChaptersToggle) pauseChaptersToggle.checked = preferences.pauseBetweenChapters;
+    if (chapterCompletePauseToggle) chapterCompletePauseToggle.checked = preferences.pauseBetweenChapters;
+  }
+  if (changed('warmupEnabled', 'warmupUnit', 'warmupAmount', 'warmupStartPercent')) {
+    if (warmupToggle) warmupToggle.checked = preferences.warmupEnabled;
+    engine?.setWarmup(getWarmupConfig());
+  }
+  if (changed('trainingEnabled', 'trainingWpmPerMinute', 'trainingCeilingWpm')) {
+    if (trainingToggle) trainingToggle.checked = preferences.trainingEnabled;
+    engine?.setTraining(getTrainingConfig());
+  }
+}
+
+/**
+ * Play the sample text on the settings screen with the current settings
+ * Restarted after every change so speed, chunking and timing show at once.
  */
-function updateWpmDisplay(wpm) {
-  wpmDisplay.textContent = `${wpm} WPM`;
+function startSettingsPreview() {
+  stopSettingsPreview();
+  if (!settingsPreview) return;
+
+  settingsPreviewEngine = createRsvpEngine({
+    tokens: tokenizeChapters([{ title: '', text: SETTINGS_PREVIEW_TEXT }]),
+    wpm: preferences.wpm,
+    minWpm: preferences.wpmMin,
+    maxWpm: preferences.wpmMax,
+    chunkSize: preferences.chunkSize || 1,
+    timingModel: getTimingModel(preferences),
+    onWord: renderSettingsPreview,
+    onEnd: () => {
+      // Start over after a short rest
+      settingsPreviewTimer = setTimeout(() => {
+        settingsPreviewEngine?.seekTo(0);
+        settingsPreviewEngine?.play();
+      }, SETTINGS_PREVIEW_REST);
+    },
+  });
+  settingsPreviewEngine.play();
+}
+
+/**
+ * Stop the settings preview
+ */
+function stopSettingsPreview() {
+  clearTimeout(settingsPreviewTimer);
+  settingsPreviewTimer = null;
+  settingsPreviewEngine?.destroy();
+  settingsPreviewEngine = null;
+}
+
+/**
+ * Show a word or chunk in the settings preview, split at the ORP like the reader
+ * @param {Object} data - Word data from the preview engine
+ */
+function renderSettingsPreview({ chunk }) {
+  settingsPreview.classList.toggle('chunk-mode', chunk.length > 1);
+
+  if (chunk.length > 1) {
+    settingsPreviewLeft.textContent = '';
+    settingsPreviewRight.textContent = chunk.map((t) => t.word).join(' ');
+    return;
+  }
+
+  const { before, orp, after } = splitWordAtOrp(chunk[0].word);
+  const orpEl = document.createElement('span');
+  orpEl.className = 'orp';
+  orpEl.textContent = orp;
+  settingsPreviewLeft.replaceChildren(before, orpEl);
+  settingsPreviewRight.textContent = after;
 }
 
 /**
@@ -915,6 +2792,75 @@ function skipForward() {
   engine.seekTo(newIndex);
 }
 
+/**
+ * Go back to the start of the current sentence, or to the previous sentence
+ * if already at its start
+ */
+function goToPreviousSentence() {
+  if (!engine) return;
+
+  const currentIndex = engine.getCurrentIndex();
+  const start = findSentenceStart(tokens, currentIndex);
+  engine.seekTo(start < currentIndex ? start : findPreviousSentenceStart(tokens, currentIndex));
+}
+
+/**
+ * Go to the start of the next sentence
+ */
+function goToNextSentence() {
+  if (!engine) return;
+
+  engine.seekTo(findNextSentenceStart(tokens, engine.getCurrentIndex()));
+}
+
+/**
+ * Go back to the start of the current paragraph, or to the previous
+ * paragraph if already at its start
+ */
+function goToPreviousParagraph() {
+  if (!engine) return;
+
+  const currentIndex = engine.getCurrentIndex();
+  const { start } = getParagraphBounds(tokens, currentIndex);
+  engine.seekTo(start < currentIndex || start === 0 ? start : getParagraphBounds(tokens, start - 1).start);
+}
+
+/**
+ * Go to the start of the next paragraph
+ */
+function goToNextParagraph() {
+  if (!engine) return;
+
+  const { end } = getParagraphBounds(tokens, engine.getCurrentIndex());
+  engine.seekTo(Math.min(end + 1, tokens.length - 1));
+}
+
+/**
+ * Jump backward after a double tap on the left, by the preferred amount
+ */
+function doubleTapBackward() {
+  if (preferences.doubleTapJump === 'sentence') {
+    goToPreviousSentence();
+  } else if (preferences.doubleTapJump === 'paragraph') {
+    goToPreviousParagraph();
+  } else {
+    skipBackward();
+  }
+}
+
+/**
+ * Jump forward after a double tap on the right, by the preferred amount
+ */
+function doubleTapForward() {
+  if (preferences.doubleTapJump === 'sentence') {
+    goToNextSentence();
+  } else if (preferences.doubleTapJump === 'paragraph') {
+    goToNextParagraph();
+  } else {
+    skipForward();
+  }
+}
+
 /**
  * Show a temporary notification (reuses chapter indicator)
  * @param {string} message - Message to display
@@ -980,9 +2926,9 @@ function goToPreviousChapter() {
 
   const currentIndex = engine.getCurrentIndex();
   const currentChapter = tokens[currentIndex].chapterIndex;
+  const targetChapter = findIncludedChapter(currentChapter, -1);
 
-  if (currentChapter > 0) {
-    const targetChapter = currentChapter - 1;
+  if (targetChapter !== -1) {
     const chapterStart = tokens.findIndex((t) => t.chapterIndex === targetChapter);
     if (chapterStart >= 0) {
       engine.seekTo(chapterStart);
@@ -990,7 +2936,7 @@ function goToPreviousChapter() {
     }
   } else {
     // Already at first chapter, go to beginning
-    engine.seekTo(0);
+    engine.seekTo(readingScope.getFirstIncludedIndex());
     showTemporaryNotification('Beginning of book');
   }
 }
@@ -1003,9 +2949,9 @@ function goToNextChapter() {
 
   const currentIndex = engine.getCurrentIndex();
   const currentChapter = tokens[currentIndex].chapterIndex;
+  const targetChapter = findIncludedChapter(currentChapter, 1);
 
-  if (currentChapter < bookData.chapters.length - 1) {
-    const targetChapter = currentChapter + 1;
+  if (targetChapter !== -1) {
     const chapterStart = tokens.findIndex((t) => t.chapterIndex === targetChapter);
     if (chapterStart >= 0) {
       engine.seekTo(chapterStart);
@@ -1016,6 +2962,19 @@ function goToNextChapter() {
   }
 }
 
+/**
+ * Find the nearest chapter in a direction that isn't excluded from reading
+ * @param {number} fromChapter - Chapter index to start from (not included)
+ * @param {number} step - 1 for forward, -1 for backward
+ * @returns {number} Chapter index, or -1 if there is none
+ */
+function findIncludedChapter(fromChapter, step) {
+  for (let i = fromChapter + step; i >= 0 && i < bookData.chapters.length; i += step) {
+    if (!readingScope?.isExcluded(i)) return i;
+  }
+  return -1;
+}
+
 /**
  * Navigate to a specific chapter by index
  * @param {number} chapterIndex - Chapter index to navigate to
@@ -1033,6 +2992,7 @@ function goToChapter(chapterIndex) {
 
 /**
  * Show chapter list overlay
+ * Chapters are shown as a tree following the book's table of contents.
  */
 function showChapterListOverlay() {
   if (!bookData || !chapterListOverlay || !chapterListEl) return;
@@ -1042,32 +3002,187 @@ function showChapterListOverlay() {
   // Get current chapter index
   const currentIndex = engine ? engine.getCurrentIndex() : 0;
   const currentChapter = tokens && tokens[currentIndex] ? tokens[currentIndex].chapterIndex : 0;
+  const wpm = engine ? engine.getWpm() : preferences.wpm;
 
   // Populate chapter list
-  chapterListEl.innerHTML = '';
-  bookData.chapters.forEach((chapter, index) => {
-    const li = document.createElement('li');
-    li.textContent = chapter.title || `Chapter ${index + 1}`;
+  chapterListEl.replaceChildren(
+    ...buildChapterTree(bookData.chapters).map((node) => renderChapterNode(node, currentChapter, wpm))
+  );
 
-    if (index === currentChapter) {
-      li.classList.add('current');
-    }
+  chapterListOverlay.classList.remove('hidden');
 
-    li.addEventListener('click', () => {
-      goToChapter(index);
-      hideChapterListOverlay();
-    });
+  // Scroll to and focus the current chapter
+  const currentRow = chapterListEl.querySelector('li.current > .toc-row');
+  if (currentRow) {
+    currentRow.scrollIntoView({ block: 'center', behavior: 'instant' });
+    focusChapterRow(currentRow);
+  }
+}
+
+/**
+ * Render a table of contents entry and its nested entries
+ * Top-level entries and the path to the current chapter start expanded.
+ * @param {Object} node - Tree node from buildChapterTree
+ * @param {number} currentChapter - Index of the chapter being read
+ * @param {number} wpm - Speed used for the reading time estimate
+ * @returns {HTMLLIElement} List item
+ */
+function renderChapterNode(node, currentChapter, wpm) {
+  const li = document.createElement('li');
+  li.setAttribute('role', 'treeitem');
+  li.classList.toggle('current', node.index === currentChapter);
+  const isExcluded = !!readingScope?.isExcluded(node.index);
+  li.classList.toggle('excluded', isExcluded);
+
+  const row = document.createElement('div');
+  row.className = 'toc-row';
+  row.tabIndex = -1;
+  row.dataset.chapter = node.index;
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'toc-toggle';
+  toggle.tabIndex = -1;
+
+  const title = document.createElement('span');
+  title.className = 'toc-title';
+  title.textContent = node.chapter.title || `Chapter ${node.index + 1}`;
+
+  const meta = document.createElement('span');
+  meta.className = 'toc-meta';
+  meta.textContent = `${node.totalWords.toLocaleString()} words · ${formatReadingTime(node.totalWords, wpm)}`;
+
+  row.append(toggle, title);
+
+  // Front and back matter is labeled; excluded entries stay listed, greyed out
+  const sectionLabel = getSectionLabel(node.chapter);
+  if (sectionLabel || isExcluded) {
+    const type = document.createElement('span');
+    type.className = 'section-type';
+    type.textContent = [sectionLabel, isExcluded && 'skipped'].filter(Boolean).join(' · ');
+    row.appendChild(type);
+  }
+
+  row.appendChild(meta);
+  li.appendChild(row);
+
+  if (node.children.length > 0) {
+    const group = document.createElement('ul');
+    group.setAttribute('role', 'group');
+    node.children.forEach((child) => group.appendChild(renderChapterNode(child, currentChapter, wpm)));
+    li.appendChild(group);
+    setChapterNodeExpanded(li, node.depth === 0 || treeContainsChapter(node, currentChapter));
+  } else {
+    toggle.classList.add('leaf');
+    toggle.setAttribute('aria-hidden', 'true');
+  }
 
-    chapterListEl.appendChild(li);
+  row.addEventListener('click', (e) => {
+    if (e.target === toggle && node.children.length > 0) {
+      setChapterNodeExpanded(li, li.getAttribute('aria-expanded') !== 'true');
+      return;
+    }
+    goToChapter(node.index);
+    hideChapterListOverlay();
   });
 
-  // Scroll to current chapter
-  const currentItem = chapterListEl.querySelector('.current');
-  if (currentItem) {
-    currentItem.scrollIntoView({ block: 'center', behavior: 'instant' });
+  return li;
+}
+
+/**
+ * Expand or collapse a table of contents entry
+ * @param {HTMLLIElement} li - Entry with nested entries
+ * @param {boolean} expanded - True to show the nested entries
+ */
+function setChapterNodeExpanded(li, expanded) {
+  li.setAttribute('aria-expanded', String(expanded));
+  li.classList.toggle('collapsed', !expanded);
+
+  const toggle = li.querySelector(':scope > .toc-row > .toc-toggle');
+  toggle.textContent = expanded ? '▾' : '▸';
+  toggle.setAttribute('aria-label', expanded ? 'Collapse' : 'Expand');
+}
+
+/**
+ * Move keyboard focus to a table of contents row
+ * @param {HTMLElement|null|undefined} row - Row to focus
+ */
+function focusChapterRow(row) {
+  if (!row) return;
+  chapterListEl.querySelectorAll('.toc-row[tabindex="0"]').forEach((el) => (el.tabIndex = -1));
+  row.tabIndex = 0;
+  row.focus();
+  row.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Keyboard navigation inside the chapter list
+ * Up/Down move between visible entries, Right/Left expand, collapse or move
+ * to the parent, Enter opens the chapter.
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function handleChapterListKeydown(e) {
+  const row = e.target.closest('.toc-row');
+  if (!row) return;
+
+  const li = row.parentElement;
+  // Rows whose ancestors are all expanded
+  const rows = Array.from(chapterListEl.querySelectorAll('.toc-row')).filter(
+    (el) => !el.parentElement.parentElement.closest('.collapsed')
+  );
+  const position = rows.indexOf(row);
+
+  switch (e.key) {
+    case 'ArrowDown':
+      focusChapterRow(rows[position + 1]);
+      break;
+    case 'ArrowUp':
+      focusChapterRow(rows[position - 1]);
+      break;
+    case 'Home':
+      focusChapterRow(rows[0]);
+      break;
+    case 'End':
+      focusChapterRow(rows[rows.length - 1]);
+      break;
+    case 'ArrowRight':
+      if (li.getAttribute('aria-expanded') === 'false') {
+        setChapterNodeExpanded(li, true);
+      } else if (li.hasAttribute('aria-expanded')) {
+        focusChapterRow(rows[position + 1]);
+      }
+      break;
+    case 'ArrowLeft':
+      if (li.getAttribute('aria-expanded') === 'true') {
+        setChapterNodeExpanded(li, false);
+      } else {
+        focusChapterRow(li.parentElement.closest('li')?.querySelector(':scope > .toc-row'));
+      }
+      break;
+    case 'Enter':
+      goToChapter(Number(row.dataset.chapter));
+      hideChapterListOverlay();
+      break;
+    default:
+      return;
   }
 
-  chapterListOverlay.classList.remove('hidden');
+  // Keep the reader shortcuts (speed, chapter keys) from firing
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+/**
+ * Format an estimated reading time, e.g. "< 1 min", "12 min" or "2h 05m"
+ * @param {number} words - Word count
+ * @param {number} wpm - Reading speed
+ * @returns {string} Formatted reading time
+ */
+function formatReadingTime(words, wpm) {
+  const minutes = Math.round(words / wpm);
+  if (minutes < 1) return '< 1 min';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
 }
 
 /**
@@ -1090,6 +3205,356 @@ function toggleChapterListOverlay() {
   }
 }
 
+/**
+ * Get the text around a token, used as a bookmark snippet
+ * @param {number} index - Global token index
+ * @returns {string} Snippet text
+ */
+function getSnippetAround(index) {
+  const start = Math.max(0, index - BOOKMARK_SNIPPET_BEFORE);
+  const end = Math.min(tokens.length, index + BOOKMARK_SNIPPET_AFTER + 1);
+  const words = tokens.slice(start, end).map((t) => t.word);
+  return `${start > 0 ? '… ' : ''}${words.join(' ')}${end < tokens.length ? ' …' : ''}`;
+}
+
+/**
+ * Bookmark the current position
+ */
+function addBookmarkAtCurrentPosition() {
+  if (!engine || !tokens || !bookData) return;
+
+  if (!currentBookId) {
+    showTemporaryNotification('Save this text to the library to use bookmarks');
+    return;
+  }
+
+  const index = engine.getCurrentIndex();
+  const token = tokens[index];
+  if (!token) return;
+
+  const bookmark = addBookmark(currentBookId, {
+    wordIndex: index,
+    chapterIndex: token.chapterIndex,
+    label: token.chapterTitle || `Chapter ${token.chapterIndex + 1}`,
+    snippet: getSnippetAround(index),
+  });
+
+  showTemporaryNotification(bookmark ? 'Bookmark added' : 'Could not save bookmark');
+
+  if (!bookmarkListOverlay?.classList.contains('hidden')) {
+    renderBookmarkList();
+  }
+}
+
+/**
+ * Render the bookmarks of the current book into the overlay
+ */
+function renderBookmarkList() {
+  const bookmarks = getBookmarks(currentBookId);
+
+  bookmarkListEl.innerHTML = '';
+  bookmarkEmptyEl?.classList.toggle('hidden', bookmarks.length > 0);
+
+  bookmarks.forEach((bookmark) => {
+    const li = document.createElement('li');
+
+    const details = document.createElement('div');
+    details.className = 'bookmark-details';
+
+    const label = document.createElement('span');
+    label.className = 'bookmark-label';
+    label.textContent = bookmark.label;
+
+    const snippet = document.createElement('span');
+    snippet.className = 'bookmark-snippet';
+    snippet.textContent = bookmark.snippet;
+
+    const meta = document.createElement('span');
+    meta.className = 'bookmark-meta';
+    const percent = Math.round(
+      readingScope ? readingScope.getProgress(bookmark.wordIndex) : (bookmark.wordIndex / tokens.length) * 100
+    );
+    meta.textContent = `${percent}% · ${new Date(bookmark.createdAt).toLocaleDateString()}`;
+
+    details.append(label, snippet, meta);
+
+    const renameBtn = document.createElement('button');
+    renameBtn.type = 'button';
+    renameBtn.className = 'bookmark-action';
+    renameBtn.setAttribute('aria-label', 'Rename bookmark');
+    renameBtn.textContent = '✎';
+    renameBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      startRenamingBookmark(bookmark, label);
+    });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'bookmark-action';
+    deleteBtn.setAttribute('aria-label', 'Delete bookmark');
+    deleteBtn.textContent = '✕';
+    deleteBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      removeBookmark(currentBookId, bookmark.id);
+      renderBookmarkList();
+    });
+
+    li.append(details, renameBtn, deleteBtn);
+    li.addEventListener('click', () => {
+      if (bookmark.wordIndex < tokens.length) {
+        engine?.seekTo(bookmark.wordIndex);
+      }
+      hideBookmarkListOverlay();
+    });
+
+    bookmarkListEl.appendChild(li);
+  });
+}
+
+/**
+ * Replace a bookmark label with an inline text input
+ * @param {Object} bookmark - The bookmark being renamed
+ * @param {HTMLElement} labelEl - The label element to replace
+ */
+function startRenamingBookmark(bookmark, labelEl) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'bookmark-label-input';
+  input.value = bookmark.label;
+
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    const newLabel = input.value.trim();
+    if (save && newLabel) {
+      updateBookmark(currentBookId, bookmark.id, { label: newLabel });
+    }
+    renderBookmarkList();
+  };
+
+  input.addEventListener('click', (e) => e.stopPropagation());
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      finish(true);
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      finish(false);
+    }
+  });
+  input.addEventListener('blur', () => finish(true));
+
+  labelEl.replaceWith(input);
+  input.focus();
+  input.select();
+}
+
+/**
+ * Show bookmark list overlay
+ */
+function showBookmarkListOverlay() {
+  if (!bookData || !bookmarkListOverlay || !bookmarkListEl) return;
+
+  engine?.pause();
+  renderBookmarkList();
+  bookmarkListOverlay.classList.remove('hidden');
+}
+
+/**
+ * Hide bookmark list overlay
+ */
+function hideBookmarkListOverlay() {
+  if (bookmarkListOverlay) {
+    bookmarkListOverlay.classList.add('hidden');
+  }
+}
+
+/**
+ * Toggle bookmark list overlay
+ */
+function toggleBookmarkListOverlay() {
+  if (bookmarkListOverlay?.classList.contains('hidden')) {
+    showBookmarkListOverlay();
+  } else {
+    hideBookmarkListOverlay();
+  }
+}
+
+/**
+ * Set up the search overlay controls
+ */
+function initSearchOverlay() {
+  if (!searchOverlay) return;
+
+  searchOverlay.querySelector('.overlay-backdrop')?.addEventListener('click', hideSearchOverlay);
+  closeSearchBtn?.addEventListener('click', hideSearchOverlay);
+
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchDebounceTimer);
+    searchDebounceTimer = setTimeout(runSearch, 150);
+  });
+  searchCaseToggle?.addEventListener('change', runSearch);
+  searchWholeWordToggle?.addEventListener('change', runSearch);
+
+  // The overlay handles its own keys - keep them away from the reader shortcuts
+  searchOverlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      hideSearchOverlay();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      selectSearchResult(selectedSearchResult + (e.key === 'ArrowDown' ? 1 : -1));
+    } else if (e.key === 'Enter' && e.target === searchInput) {
+      clearTimeout(searchDebounceTimer);
+      if (searchResults.length === 0) runSearch();
+      goToSearchResult(Math.max(0, selectedSearchResult));
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  });
+}
+
+/**
+ * Show the search overlay
+ */
+function showSearchOverlay() {
+  if (!bookData || !searchOverlay) return;
+
+  engine?.pause();
+  searchOverlay.classList.remove('hidden');
+  searchInput.focus();
+  searchInput.select();
+}
+
+/**
+ * Hide the search overlay
+ */
+function hideSearchOverlay() {
+  searchOverlay?.classList.add('hidden');
+  searchInput?.blur();
+}
+
+/**
+ * Forget the previous book's search
+ */
+function resetSearch() {
+  searchResults = [];
+  selectedSearchResult = -1;
+  if (searchInput) searchInput.value = '';
+  if (searchResultsEl) searchResultsEl.innerHTML = '';
+  if (searchCount) searchCount.textContent = '';
+}
+
+/**
+ * Search the current book with the overlay's query and options
+ */
+function runSearch() {
+  if (!bookData) return;
+
+  const query = searchInput.value;
+  searchResults = searchBook(bookData.chapters, query, {
+    caseSensitive: searchCaseToggle?.checked,
+    wholeWord: searchWholeWordToggle?.checked,
+  });
+
+  // Preselect the first match after the current position
+  const currentIndex = engine ? engine.getCurrentIndex() : 0;
+  const ahead = searchResults.findIndex((result) => result.globalIndex > currentIndex);
+  selectedSearchResult = searchResults.length > 0 ? Math.max(0, ahead) : -1;
+
+  renderSearchResults(query);
+}
+
+/**
+ * Render search results grouped by chapter
+ * @param {string} query - The searched text
+ */
+function renderSearchResults(query) {
+  searchResultsEl.innerHTML = '';
+
+  if (!query.trim()) {
+    searchCount.textContent = '';
+    return;
+  }
+  searchCount.textContent =
+    searchResults.length === 1 ? '1 match' : `${searchResults.length.toLocaleString()} matches`;
+
+  groupResultsByChapter(searchResults).forEach((group) => {
+    const header = document.createElement('li');
+    header.className = 'search-group';
+    header.textContent = `${group.chapterTitle} (${group.results.length})`;
+    searchResultsEl.appendChild(header);
+
+    group.results.forEach((result) => {
+      const li = document.createElement('li');
+      li.className = 'search-result';
+      li.dataset.resultIndex = result.resultIndex;
+
+      const mark = document.createElement('mark');
+      mark.textContent = result.snippet.match;
+      li.append(result.snippet.before, mark, result.snippet.after);
+
+      li.addEventListener('click', () => goToSearchResult(result.resultIndex));
+      searchResultsEl.appendChild(li);
+    });
+  });
+
+  selectSearchResult(selectedSearchResult);
+}
+
+/**
+ * Highlight a search result in the list
+ * @param {number} index - Result index (clamped to the results)
+ */
+function selectSearchResult(index) {
+  if (searchResults.length === 0) return;
+
+  selectedSearchResult = Math.max(0, Math.min(index, searchResults.length - 1));
+  searchResultsEl.querySelectorAll('.search-result').forEach((li) => {
+    const selected = Number(li.dataset.resultIndex) === selectedSearchResult;
+    li.classList.toggle('selected', selected);
+    if (selected) li.scrollIntoView({ block: 'nearest' });
+  });
+}
+
+/**
+ * Jump to a search result and close the overlay
+ * @param {number} index - Result index
+ */
+function goToSearchResult(index) {
+  const result = searchResults[index];
+  if (!result || !engine) return;
+
+  selectedSearchResult = index;
+  hideSearchOverlay();
+  engine.seekTo(result.globalIndex);
+  showTemporaryNotification(`Match ${index + 1} of ${searchResults.length}`);
+}
+
+/**
+ * Jump to the next or previous search result relative to the current position
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+function goToAdjacentSearchResult(direction) {
+  if (searchResults.length === 0) {
+    showSearchOverlay();
+    return;
+  }
+
+  const currentIndex = engine ? engine.getCurrentIndex() : 0;
+  let target;
+  if (direction > 0) {
+    target = searchResults.findIndex((result) => result.globalIndex > currentIndex);
+    if (target === -1) target = 0; // wrap around
+  } else {
+    target = searchResults.findLastIndex((result) => result.globalIndex < currentIndex);
+    if (target === -1) target = searchResults.length - 1;
+  }
+
+  engine?.pause();
+  goToSearchResult(target);
+}
+
 /**
  * Initialize tap controls for all devices (mobile and desktop)
  */
@@ -1103,10 +3568,10 @@ function initTapControls() {
       engine?.toggle();
     },
     onSkipBack: () => {
-      skipBackward();
+      doubleTapBackward();
     },
     onSkipForward: () => {
-      skipForward();
+      doubleTapForward();
     },
   });
 }
@@ -1147,28 +3612,19 @@ function initMobileToolbar() {
   });
 
   // Speed controls
-  btnSpeedUp?.addEventListener('click', () => {
-    if (engine) {
-      const newWpm = engine.setWpm(engine.getWpm() + 25);
-      updateWpmDisplay(newWpm);
-      preferences.wpm = newWpm;
-      savePreferences({ wpm: newWpm });
-    }
-  });
-
-  btnSpeedDown?.addEventListener('click', () => {
-    if (engine) {
-      const newWpm = engine.setWpm(engine.getWpm() - 25);
-      updateWpmDisplay(newWpm);
-      preferences.wpm = newWpm;
-      savePreferences({ wpm: newWpm });
-    }
-  });
+  btnSpeedUp?.addEventListener('click', () => changeWpm(1));
+  btnSpeedDown?.addEventListener('click', () => changeWpm(-1));
 
   // Step controls
   btnStepBack?.addEventListener('click', stepBackward);
   btnStepForward?.addEventListener('click', stepForward);
 
+  // Sentence and paragraph jumps
+  btnPrevSentence?.addEventListener('click', goToPreviousSentence);
+  btnNextSentence?.addEventListener('click', goToNextSentence);
+  btnPrevParagraph?.addEventListener('click', goToPreviousParagraph);
+  btnNextParagraph?.addEventListener('click', goToNextParagraph);
+
   // Chunk size cycle (1 -> 2 -> 3 -> 4 -> 5 -> 1)
   btnChunkCycle?.addEventListener('click', () => {
     if (engine) {
@@ -1182,6 +3638,16 @@ function initMobileToolbar() {
     }
   });
 
+  // Bookmarks
+  btnBookmark?.addEventListener('click', addBookmarkAtCurrentPosition);
+  btnBookmarkList?.addEventListener('click', toggleBookmarkListOverlay);
+
+  // Context view
+  btnContext?.addEventListener('click', toggleContextPanel);
+
+  // Peripheral preview
+  btnPeripheral?.addEventListener('click', togglePeripheralPreview);
+
   // Font size controls
   btnFontUp?.addEventListener('click', increaseFontSize);
   btnFontDown?.addEventListener('click', decreaseFontSize);
@@ -1196,6 +3662,9 @@ function initMobileToolbar() {
   // Theme cycle
   btnThemeCycle?.addEventListener('click', cycleTheme);
 
+  // Settings
+  btnSettings?.addEventListener('click', () => showSettingsScreen(readerScreen));
+
   // Menu/back button
   btnMenu?.addEventListener('click', () => {
     engine?.pause();
@@ -1212,6 +3681,9 @@ function updateMobileUI() {
   // Update chunk icon
   updateChunkIcon(preferences.chunkSize || 1);
 
+  btnContext?.classList.toggle('active', preferences.showContextPanel);
+  btnPeripheral?.classList.toggle('active', preferences.showPeripheralPreview);
+
   // Update step button states
   updateStepButtonStates();
 }
@@ -1239,18 +3711,25 @@ function updateStepButtonStates() {
  * Show the landing screen
  */
 function showLandingScreen() {
+  cancelChapterIndicator();
+  renderLibrary();
   landingScreen.classList.remove('hidden');
   bookInfoScreen.classList.add('hidden');
   readerScreen.classList.add('hidden');
+  statsScreen.classList.add('hidden');
+  settingsScreen.classList.add('hidden');
 }
 
 /**
  * Show the book info screen
  */
 function showBookInfoScreen() {
+  cancelChapterIndicator();
   landingScreen.classList.add('hidden');
   bookInfoScreen.classList.remove('hidden');
   readerScreen.classList.add('hidden');
+  statsScreen.classList.add('hidden');
+  settingsScreen.classList.add('hidden');
 
   // Release wake lock when leaving reader
   releaseWakeLock();
@@ -1263,6 +3742,8 @@ function showReaderScreen() {
   landingScreen.classList.add('hidden');
   bookInfoScreen.classList.add('hidden');
   readerScreen.classList.remove('hidden');
+  statsScreen.classList.add('hidden');
+  settingsScreen.classList.add('hidden');
 }
 
 // Initialize when DOM is ready
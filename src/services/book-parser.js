@@ -0,0 +1,73 @@
+/**
+ * Book Parser Service
+ * Maps supported file formats to their parsers
+ */
+
+import { parseEpub } from './epub-parser.js';
+import { parsePlainText, parseMarkdown, parseHtml } from './text-parser.js';
+import { classifyChapters } from './sections.js';
+
+export const BOOK_FORMATS = [
+  {
+    id: 'epub',
+    description: 'EPUB books',
+    extensions: ['.epub'],
+    mimeTypes: ['application/epub+zip'],
+    parse: parseEpub,
+  },
+  {
+    id: 'text',
+    description: 'Plain text',
+    extensions: ['.txt'],
+    mimeTypes: ['text/plain'],
+    parse: parsePlainText,
+  },
+  {
+    id: 'markdown',
+    description: 'Markdown documents',
+    extensions: ['.md', '.markdown'],
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    parse: parseMarkdown,
+  },
+  {
+    id: 'html',
+    description: 'HTML documents',
+    extensions: ['.html', '.htm', '.xhtml'],
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    parse: parseHtml,
+  },
+];
+
+/**
+ * Find the format of a file from its name
+ * @param {string} fileName - The file name
+ * @returns {Object|null} Format descriptor or null if unsupported
+ */
+export function getBookFormat(fileName) {
+  const lower = fileName.toLowerCase();
+  return BOOK_FORMATS.find((format) => format.extensions.some((ext) => lower.endsWith(ext))) || null;
+}
+
+/**
+ * Get all supported file extensions (for accept attributes and hints)
+ * @returns {string[]} Array of extensions including the leading dot
+ */
+export function getSupportedExtensions() {
+  return BOOK_FORMATS.flatMap((format) => format.extensions);
+}
+
+/**
+ * Parse a book or document with the parser matching its file type
+ * Chapters are classified as front matter, body or back matter afterwards.
+ * @param {File} file - The file to parse
+ * @returns {Promise<Object>} Parsed book data ({ metadata, chapters, totalWords })
+ */
+export async function parseBook(file) {
+  const format = getBookFormat(file.name);
+  if (!format) {
+    throw new Error(`Unsupported file type: ${file.name}`);
+  }
+  const bookData = await format.parse(file);
+  classifyChapters(bookData.chapters);
+  return bookData;
+}
@@ -0,0 +1,217 @@
+/**
+ * Data Transfer Service
+ * Exports all reading data to a single file and imports it again, so the
+ * library, positions, bookmarks, section choices, preferences and history can
+ * move between browsers. Book files can be included by exporting a zip
+ * instead of JSON.
+ */
+
+import JSZip from 'jszip';
+import { getStoredData, importStoredData } from './storage.js';
+import {
+  getReadingSessions,
+  saveReadingSessions,
+  clearReadingSessions,
+  loadCachedFile,
+  saveFileAccess,
+  clearSavedFile,
+  saveCover,
+  loadCover,
+  clearCover,
+} from './file-persistence.js';
+
+export const EXPORT_FORMAT = 'readlocally-export';
+export const EXPORT_SCHEMA_VERSION = 1;
+const ZIP_DATA_FILE = 'readlocally-data.json';
+const ZIP_BOOKS_FOLDER = 'books';
+
+/**
+ * Upgrades from each older schema version to the next one
+ * Add an entry here whenever EXPORT_SCHEMA_VERSION is raised.
+ * @type {Object<number, Function>}
+ */
+const SCHEMA_UPGRADES = {};
+
+/**
+ * Build an export file of all reading data
+ * @param {Object} [options]
+ * @param {boolean} [options.includeBooks=false] - Add cached book files (exports a zip)
+ * @returns {Promise<{blob: Blob, fileName: string, bookFiles: number}>} The file to download
+ */
+export async function createExport({ includeBooks = false } = {}) {
+  const stored = getStoredData();
+  const data = {
+    format: EXPORT_FORMAT,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    exportedAt: Date.now(),
+    ...stored,
+    readingSessions: await getReadingSessions(),
+    bookFiles: [],
+  };
+
+  const date = new Date().toISOString().slice(0, 10);
+
+  if (!includeBooks) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    return { blob, fileName: `readlocally-${date}.json`, bookFiles: 0 };
+  }
+
+  const zip = new JSZip();
+  for (const bookId of Object.keys(stored.library)) {
+    const file = await loadCachedFile(bookId);
+    if (!file) continue;
+
+    const path = `${ZIP_BOOKS_FOLDER}/${bookId}/${file.name}`;
+    zip.file(path, file);
+    data.bookFiles.push({ id: bookId, path, fileName: file.name, fileType: file.type });
+  }
+  zip.file(ZIP_DATA_FILE, JSON.stringify(data, null, 2));
+
+  const blob = await zip.generateAsync({ type: 'blob' });
+  return { blob, fileName: `readlocally-${date}.zip`, bookFiles: data.bookFiles.length };
+}
+
+/**
+ * Read an export file (JSON or zip) and check it can be imported
+ * @param {File} file - The selected file
+ * @returns {Promise<{data: Object, bookFiles: Array}>} Validated data and the book files it carries
+ * @throws {Error} If the file isn't a readable export
+ */
+export async function readExportFile(file) {
+  const header = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  const isZip = header[0] === 0x50 && header[1] === 0x4b; // "PK"
+
+  let zip = null;
+  let text;
+  if (isZip) {
+    zip = await JSZip.loadAsync(file);
+    const dataFile = zip.file(ZIP_DATA_FILE);
+    if (!dataFile) {
+      throw new Error('This zip file is not a ReadLocally export.');
+    }
+    text = await dataFile.async('string');
+  } else {
+    text = await file.text();
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not a ReadLocally export.');
+  }
+
+  const data = validateExport(raw);
+
+  const bookFiles = [];
+  if (zip) {
+    for (const entry of data.bookFiles) {
+      const zipEntry = zip.file(entry.path);
+      if (!zipEntry) continue;
+
+      const content = await zipEntry.async('blob');
+      bookFiles.push({
+        id: entry.id,
+        file: new File([content], entry.fileName, { type: entry.fileType || '' }),
+      });
+    }
+  }
+
+  return { data, bookFiles };
+}
+
+/**
+ * Import data read by readExportFile
+ * @param {Object} exported - Result of readExportFile
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Discard current data instead of merging
+ * @returns {Promise<Object>} Counts of what was imported:
+ *   { books, positions, bookmarks, sessions, bookFiles, preferences, preferencesKept }
+ */
+export async function importExport({ data, bookFiles }, { replace = false } = {}) {
+  if (replace) {
+    // Drop the stored files of books that won't be in the library afterwards
+    const removed = Object.keys(getStoredData().library).filter((bookId) => !(bookId in data.library));
+    await Promise.all(removed.flatMap((bookId) => [clearSavedFile(bookId), clearCover(bookId)]));
+    await clearReadingSessions();
+  }
+
+  // Covers aren't exported, so a book only keeps its cover flag if this browser
+  // has the cover (exports from before covers moved to IndexedDB still carry them)
+  const library = {};
+  for (const [bookId, { coverUrl, ...reference }] of Object.entries(data.library)) {
+    if (coverUrl) {
+      await saveCover(bookId, coverUrl);
+      reference.hasCover = true;
+    } else if (reference.hasCover) {
+      reference.hasCover = !!(await loadCover(bookId));
+    }
+    library[bookId] = reference;
+  }
+
+  const counts = importStoredData({ ...data, library }, { replace });
+
+  // Sessions already in the history are updated, not counted as imported
+  const knownSessions = new Set((await getReadingSessions()).map((session) => session.id));
+  const newSessions = new Set(
+    data.readingSessions.map((session) => session.id).filter((id) => !knownSessions.has(id))
+  );
+  await saveReadingSessions(data.readingSessions);
+
+  for (const { id, file } of bookFiles) {
+    await saveFileAccess(id, file);
+  }
+
+  return {
+    ...counts,
+    sessions: newSessions.size,
+    bookFiles: bookFiles.length,
+  };
+}
+
+/**
+ * Check the format and schema version of parsed export data and bring it
+ * up to the current schema
+ * Missing or malformed sections are dropped rather than failing the import.
+ * @param {Object} raw - Parsed JSON
+ * @returns {Object} Data in the current schema
+ * @throws {Error} If it isn't an export or comes from a newer version
+ */
+function validateExport(raw) {
+  if (!raw || raw.format !== EXPORT_FORMAT || !Number.isInteger(raw.schemaVersion)) {
+    throw new Error('This file is not a ReadLocally export.');
+  }
+  if (raw.schemaVersion > EXPORT_SCHEMA_VERSION) {
+    throw new Error('This export was made by a newer version of ReadLocally. Please update the app first.');
+  }
+
+  let data = raw;
+  for (let version = raw.schemaVersion; version < EXPORT_SCHEMA_VERSION; version++) {
+    data = SCHEMA_UPGRADES[version](data);
+  }
+
+  const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+  const pickObjects = (value, isValid) =>
+    Object.fromEntries(Object.entries(isObject(value) ? value : {}).filter(([, item]) => isValid(item)));
+
+  return {
+    preferences: isObject(data.preferences) ? data.preferences : null,
+    library: pickObjects(data.library, (book) => isObject(book) && typeof book.title === 'string'),
+    positions: pickObjects(data.positions, (position) => isObject(position) && Number.isFinite(position.wordIndex)),
+    bookmarks: pickObjects(
+      data.bookmarks,
+      (list) => Array.isArray(list) && list.every((b) => isObject(b) && b.id && Number.isFinite(b.wordIndex))
+    ),
+    excludedSections: pickObjects(
+      data.excludedSections,
+      (chapterIds) => Array.isArray(chapterIds) && chapterIds.every((id) => typeof id === 'string')
+    ),
+    currentBookId: typeof data.currentBookId === 'string' ? data.currentBookId : null,
+    readingSessions: (Array.isArray(data.readingSessions) ? data.readingSessions : []).filter(
+      (session) => isObject(session) && session.id && Number.isFinite(session.startedAt)
+    ),
+    bookFiles: (Array.isArray(data.bookFiles) ? data.bookFiles : []).filter(
+      (entry) => isObject(entry) && entry.id && entry.path && entry.fileName
+    ),
+  };
+}
@@ -4,6 +4,8 @@
  */
 
 import JSZip from 'jszip';
+import { extractBlocks, blocksToText, getNoteText } from './html-text.js';
+import { countWords } from './segmenter.js';
 
 /**
  * Parse an EPUB file and extract its contents
@@ -31,16 +33,27 @@ export async function parseEpub(file) {
   }
 
   const opfDir = opfPath.substring(0, opfPath.lastIndexOf('/') + 1);
-  const { metadata, spine, manifest, coverId, ncxId } = parseOpf(opfContent);
+  const { metadata, spine, manifest, coverId, ncxId, navId, guide } = parseOpf(opfContent);
 
   // Step 3: Extract cover image if available
   const coverUrl = await extractCover(zip, manifest, coverId, opfDir);
 
-  // Step 4: Parse NCX for navigation structure
-  const navPoints = await parseNcx(zip, manifest, ncxId, opfDir);
+  // Step 4: Parse navigation structure (EPUB 3 nav document preferred, NCX fallback)
+  const nav = await loadNavFile(zip, manifest, navId, opfDir, 'text/html');
+  let navPoints = nav ? parseNavDocument(nav.doc, nav.dir) : [];
+  if (navPoints.length === 0) {
+    const ncx = await loadNavFile(zip, manifest, ncxId, opfDir, 'application/xml');
+    navPoints = ncx ? parseNcx(ncx.doc, ncx.dir) : [];
+  }
+
+  // Step 5: Collect section types from the OPF guide and EPUB 3 landmarks
+  const sectionTypes = new Map([...guide, ...(nav ? parseLandmarks(nav.doc, nav.dir) : [])]);
 
-  // Step 5: Extract chapters using NCX navigation or spine fallback
-  const chapters = await extractChaptersWithNav(zip, spine, manifest, opfDir, navPoints);
+  // Step 6: Load the content documents, so note references can be looked up in any of them
+  const documents = await loadDocuments(zip, spine, manifest, opfDir);
+
+  // Step 7: Extract chapters using navigation or spine fallback
+  const chapters = await extractChaptersWithNav(zip, spine, manifest, opfDir, navPoints, sectionTypes, documents);
 
   return {
     metadata: {
@@ -73,11 +86,16 @@ function parseOpf(opfContent) {
   const parser = new DOMParser();
   const doc = parser.parseFromString(opfContent, 'application/xml');
 
+  // Page progression ("rtl" for most Hebrew and Arabic books; "default" means unspecified)
+  const spineEl = doc.querySelector('spine');
+  const progression = spineEl?.getAttribute('page-progression-direction');
+
   // Extract metadata
   const metadata = {
     title: getMetadataValue(doc, 'title') || 'Untitled',
     author: getMetadataValue(doc, 'creator') || 'Unknown Author',
     language: getMetadataValue(doc, 'language') || 'en',
+    direction: progression === 'rtl' || progression === 'ltr' ? progression : null,
   };
 
   // Build manifest map (id -> href)
@@ -86,8 +104,9 @@ function parseOpf(opfContent) {
     const id = item.getAttribute('id');
     const href = item.getAttribute('href');
     const mediaType = item.getAttribute('media-type');
+    const properties = item.getAttribute('properties') || '';
     if (id && href) {
-      manifest.set(id, { href, mediaType });
+      manifest.set(id, { href, mediaType, properties });
     }
   });
 
@@ -104,10 +123,68 @@ function parseOpf(opfContent) {
   const coverId = findCoverId(doc, manifest);
 
   // Find NCX file ID from spine toc attribute
-  const spineEl = doc.querySelector('spine');
   const ncxId = spineEl?.getAttribute('toc') || null;
 
-  return { metadata, spine, manifest, coverId, ncxId };
+  // Find EPUB 3 navigation document ID from manifest properties
+  const navId = findNavId(manifest);
+
+  // EPUB 2 guide references (href -> type, e.g. "copyright-page")
+  const guide = new Map();
+  doc.querySelectorAll('guide > reference').forEach((reference) => {
+    const type = reference.getAttribute('type');
+    const href = reference.getAttribute('href');
+    if (type && href) {
+      addSectionType(guide, decodeURIComponent(href), type);
+    }
+  });
+
+  return { metadata, spine, manifest, coverId, ncxId, navId, guide };
+}
+
+/**
+ * Record the section type of an href in a section type map
+ * Both "file#fragment" and the bare file are recorded; the first entry wins.
+ * @param {Map} sectionTypes - Map of href -> type
+ * @param {string} href - Path relative to the OPF directory, with optional fragment
+ * @param {string} type - Section type name
+ */
+function addSectionType(sectionTypes, href, type) {
+  const [file, fragment] = href.split('#');
+  const keys = fragment ? [`${file}#${fragment}`, file] : [file];
+  keys.forEach((key) => {
+    if (!sectionTypes.has(key)) {
+      sectionTypes.set(key, type);
+    }
+  });
+}
+
+/**
+ * Look up the section type recorded for a chapter's location
+ * A file-wide type only applies to chapters starting at the top of the file.
+ * @param {Map} sectionTypes - Map of href -> type
+ * @param {string} file - Path relative to the OPF directory
+ * @param {string|null} fragment - Fragment the chapter starts at
+ * @returns {string|null} Section type name
+ */
+function lookupSectionType(sectionTypes, file, fragment) {
+  if (fragment) {
+    return sectionTypes.get(`${file}#${fragment}`) || null;
+  }
+  return sectionTypes.get(file) || null;
+}
+
+/**
+ * Find the EPUB 3 navigation document (manifest item with properties="nav")
+ * @param {Map} manifest - The manifest map
+ * @returns {string|null} Nav document item ID
+ */
+function findNavId(manifest) {
+  for (const [id, item] of manifest) {
+    if (item.properties.split(/\s+/).includes('nav')) {
+      return id;
+    }
+  }
+  return null;
 }
 
 /**
@@ -185,26 +262,38 @@ function getMetadataValue(doc, name) {
 }
 
 /**
- * Parse NCX file to get navigation points
+ * Load and parse a navigation file (nav document or NCX) from the manifest
  * @param {JSZip} zip - The ZIP instance
  * @param {Map} manifest - The manifest map
- * @param {string|null} ncxId - NCX file ID from spine
+ * @param {string|null} itemId - Manifest item ID
  * @param {string} opfDir - Directory containing the OPF file
- * @returns {Promise<Array>} Array of navigation points
+ * @param {string} mimeType - 'text/html' for the nav document, 'application/xml' for NCX
+ * @returns {Promise<Object|null>} { doc, dir } - the parsed file and its directory
+ *   relative to the OPF directory - or null if there is none
  */
-async function parseNcx(zip, manifest, ncxId, opfDir) {
-  if (!ncxId) return [];
+async function loadNavFile(zip, manifest, itemId, opfDir, mimeType) {
+  const item = itemId ? manifest.get(itemId) : null;
+  if (!item) return null;
 
-  const ncxItem = manifest.get(ncxId);
-  if (!ncxItem) return [];
+  const href = decodeURIComponent(item.href);
+  const content = await zip.file(resolvePath(opfDir, href))?.async('text');
+  if (!content) return null;
 
-  const ncxPath = opfDir + ncxItem.href;
-  const ncxContent = await zip.file(ncxPath)?.async('text');
-  if (!ncxContent) return [];
-
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(ncxContent, 'application/xml');
+  return {
+    doc: new DOMParser().parseFromString(content, mimeType),
+    dir: href.substring(0, href.lastIndexOf('/') + 1),
+  };
+}
 
+/**
+ * Parse NCX file to get navigation points
+ * Produces the same { label, file, fragment, depth } entries as
+ * parseNavDocument, with file paths made relative to the OPF directory.
+ * @param {Document} doc - Parsed NCX file
+ * @param {string} ncxDir - Directory of the NCX file, relative to the OPF directory
+ * @returns {Array} Array of navigation points
+ */
+function parseNcx(doc, ncxDir) {
   const navPoints = [];
 
   // Parse navPoints recursively
@@ -213,14 +302,16 @@ async function parseNcx(zip, manifest, ncxId, opfDir) {
     const src = element.querySelector(':scope > content')?.getAttribute('src');
 
     if (label && src) {
-      // Parse src to get file and optional fragment
+      // Parse src to get file and optional fragment (relative to the NCX file)
       const [file, fragment] = src.split('#');
-      navPoints.push({
-        label,
-        file,
-        fragment: fragment || null,
-        depth,
-      });
+      if (file) {
+        navPoints.push({
+          label,
+          file: resolvePath(ncxDir, decodeURIComponent(file)),
+          fragment: fragment ? decodeURIComponent(fragment) : null,
+          depth,
+        });
+      }
     }
 
     // Parse nested navPoints
@@ -240,33 +331,192 @@ async function parseNcx(zip, manifest, ncxId, opfDir) {
   return navPoints;
 }
 
+/**
+ * Parse the EPUB 3 navigation document to get navigation points
+ * Produces the same { label, file, fragment, depth } entries as parseNcx,
+ * with file paths made relative to the OPF directory.
+ * @param {Document} doc - Parsed nav document
+ * @param {string} navDir - Directory of the nav document, relative to the OPF directory
+ * @returns {Array} Array of navigation points
+ */
+function parseNavDocument(doc, navDir) {
+  // Find <nav epub:type="toc">; fall back to the first nav that isn't landmarks or a page list
+  const navs = Array.from(doc.querySelectorAll('nav'));
+  const navTypes = (nav) => (nav.getAttribute('epub:type') || '').split(/\s+/);
+  const tocNav =
+    navs.find((nav) => navTypes(nav).includes('toc')) ||
+    navs.find((nav) => !navTypes(nav).some((type) => type === 'landmarks' || type === 'page-list'));
+  if (!tocNav) return [];
+
+  // Hrefs are relative to the nav document, chapters are resolved against opfDir
+  const navPoints = [];
+
+  // Parse list items recursively
+  function parseList(ol, depth) {
+    ol.querySelectorAll(':scope > li').forEach((li) => {
+      const link = li.querySelector(':scope > a');
+      const label = (link || li.querySelector(':scope > span'))?.textContent
+        ?.replace(/\s+/g, ' ')
+        .trim();
+      const href = link?.getAttribute('href');
+
+      if (label && href) {
+        const [file, fragment] = href.split('#');
+        if (file) {
+          navPoints.push({
+            label,
+            file: resolvePath(navDir, decodeURIComponent(file)),
+            fragment: fragment ? decodeURIComponent(fragment) : null,
+            depth,
+          });
+        }
+      }
+
+      // Parse nested lists
+      const nested = li.querySelector(':scope > ol');
+      if (nested) {
+        parseList(nested, depth + 1);
+      }
+    });
+  }
+
+  const rootList = tocNav.querySelector(':scope > ol') || tocNav.querySelector('ol');
+  if (rootList) {
+    parseList(rootList, 0);
+  }
+
+  return navPoints;
+}
+
+/**
+ * Parse the landmarks of the EPUB 3 navigation document
+ * @param {Document} doc - Parsed nav document
+ * @param {string} navDir - Directory of the nav document, relative to the OPF directory
+ * @returns {Map} Map of href (relative to the OPF directory) -> type
+ */
+function parseLandmarks(doc, navDir) {
+  const landmarks = new Map();
+
+  const landmarksNav = Array.from(doc.querySelectorAll('nav')).find((nav) =>
+    (nav.getAttribute('epub:type') || '').split(/\s+/).includes('landmarks')
+  );
+  if (!landmarksNav) return landmarks;
+
+  landmarksNav.querySelectorAll('a[href]').forEach((link) => {
+    const type = link.getAttribute('epub:type');
+    const [file, fragment] = link.getAttribute('href').split('#');
+    if (type && file) {
+      const path = resolvePath(navDir, decodeURIComponent(file));
+      addSectionType(landmarks, fragment ? `${path}#${decodeURIComponent(fragment)}` : path, type);
+    }
+  });
+
+  return landmarks;
+}
+
+/**
+ * Resolve a relative path against a base directory, normalizing "." and ".."
+ * @param {string} baseDir - Base directory (with trailing slash, or empty)
+ * @param {string} relativePath - Path relative to baseDir
+ * @returns {string} Normalized path
+ */
+function resolvePath(baseDir, relativePath) {
+  const parts = [];
+  (baseDir + relativePath).split('/').forEach((part) => {
+    if (part === '..') {
+      parts.pop();
+    } else if (part !== '.' && part !== '') {
+      parts.push(part);
+    }
+  });
+  return parts.join('/');
+}
+
 /**
  * Extract chapters using NCX navigation or fallback to spine
  * @param {JSZip} zip - The ZIP instance
  * @param {string[]} spine - Array of manifest IDs in reading order
  * @param {Map} manifest - Map of manifest IDs to href/mediaType
  * @param {string} opfDir - Directory containing the OPF file
- * @param {Array} navPoints - Navigation points from NCX
+ * @param {Array} navPoints - Navigation points from the nav document or NCX
+ * @param {Map} sectionTypes - Section types from the guide and landmarks
+ * @param {Object} documents - Content documents from loadDocuments
  * @returns {Promise<Array>} Array of chapter objects
  */
-async function extractChaptersWithNav(zip, spine, manifest, opfDir, navPoints) {
+async function extractChaptersWithNav(zip, spine, manifest, opfDir, navPoints, sectionTypes, documents) {
   // If we have meaningful navigation (more than 1 entry), use it
   if (navPoints.length > 1) {
-    return await extractChaptersFromNav(zip, opfDir, navPoints);
+    return await extractChaptersFromNav(zip, opfDir, navPoints, sectionTypes, documents);
   }
 
   // Fall back to spine-based extraction
-  return await extractChapters(zip, spine, manifest, opfDir);
+  return await extractChapters(zip, spine, manifest, opfDir, sectionTypes, documents);
 }
 
 /**
- * Extract chapters based on NCX navigation points
+ * Load the text of every content document in the spine
+ * Documents are only parsed when a note reference points into them.
  * @param {JSZip} zip - The ZIP instance
+ * @param {string[]} spine - Array of manifest IDs in reading order
+ * @param {Map} manifest - Map of manifest IDs to href/mediaType
  * @param {string} opfDir - Directory containing the OPF file
- * @param {Array} navPoints - Navigation points from NCX
+ * @returns {Promise<Object>} { get(path) } returning a parsed Document or null
+ */
+async function loadDocuments(zip, spine, manifest, opfDir) {
+  const contents = new Map();
+  for (const id of spine) {
+    const item = manifest.get(id);
+    if (!item.mediaType?.includes('html') && !/\.x?html?$/.test(item.href)) continue;
+
+    const path = resolvePath(opfDir, item.href);
+    const content = await zip.file(path)?.async('text');
+    if (content) {
+      contents.set(path, content);
+    }
+  }
+
+  const parsed = new Map();
+  return {
+    get(path) {
+      const key = resolvePath('', path);
+      if (!parsed.has(key)) {
+        const content = contents.get(key);
+        parsed.set(key, content ? new DOMParser().parseFromString(content, 'text/html') : null);
+      }
+      return parsed.get(key);
+    },
+  };
+}
+
+/**
+ * Create a note resolver for the chapters of one content document
+ * @param {Object} documents - Content documents from loadDocuments
+ * @param {string} filePath - Path of the document the references are in
+ * @returns {Function} (href, refId) => note text or null
+ */
+function createNoteResolver(documents, filePath) {
+  const fileDir = filePath.substring(0, filePath.lastIndexOf('/') + 1);
+
+  return (href, refId) => {
+    const [file, id] = (href || '').split('#');
+    if (!id) return null;
+
+    const doc = documents.get(file ? resolvePath(fileDir, decodeURIComponent(file)) : filePath);
+    const target = doc?.getElementById(decodeURIComponent(id));
+    return target ? getNoteText(target, refId) : null;
+  };
+}
+
+/**
+ * Extract chapters based on navigation points
+ * @param {JSZip} zip - The ZIP instance
+ * @param {string} opfDir - Directory containing the OPF file
+ * @param {Array} navPoints - Navigation points from the nav document or NCX
+ * @param {Map} sectionTypes - Section types from the guide and landmarks
+ * @param {Object} documents - Content documents from loadDocuments
  * @returns {Promise<Array>} Array of chapter objects
  */
-async function extractChaptersFromNav(zip, opfDir, navPoints) {
+async function extractChaptersFromNav(zip, opfDir, navPoints, sectionTypes, documents) {
   const chapters = [];
 
   // Group navPoints by file
@@ -293,32 +543,37 @@ async function extractChaptersFromNav(zip, opfDir, navPoints) {
 
     if (!content) continue;
 
-    let text = '';
+    const resolveNote = createNoteResolver(documents, filePath);
+    let extracted;
 
     if (navPoint.fragment) {
       // Extract from fragment to next fragment or end
-      text = extractTextFromFragment(
+      extracted = extractTextFromFragment(
         content,
         navPoint.fragment,
-        nextNavPoint?.file === navPoint.file ? nextNavPoint.fragment : null
+        nextNavPoint?.file === navPoint.file ? nextNavPoint.fragment : null,
+        resolveNote
       );
     } else {
       // No fragment - check if next navPoint is in same file
       if (nextNavPoint && nextNavPoint.file === navPoint.file && nextNavPoint.fragment) {
         // Extract from start to next fragment
-        text = extractTextFromFragment(content, null, nextNavPoint.fragment);
+        extracted = extractTextFromFragment(content, null, nextNavPoint.fragment, resolveNote);
       } else {
         // Extract entire file or until next file
-        const { text: fullText } = extractTextFromHtml(content);
-        text = fullText;
+        extracted = extractTextFromHtml(content, resolveNote);
       }
     }
 
+    const { text, blocks, epubType } = extracted;
     if (text.trim()) {
       chapters.push({
         id: `nav-${i}`,
         title: navPoint.label,
-        text: text.trim(),
+        depth: navPoint.depth, // nesting level in the table of contents (0 = top)
+        sectionType: epubType || lookupSectionType(sectionTypes, navPoint.file, navPoint.fragment),
+        text,
+        blocks,
         wordCount: countWords(text),
       });
     }
@@ -337,9 +592,11 @@ async function extractChaptersFromNav(zip, opfDir, navPoints) {
  * @param {string} html - The HTML content
  * @param {string|null} startFragment - Starting element ID (null = start of document)
  * @param {string|null} endFragment - Ending element ID (null = end of document)
- * @returns {string} Extracted text
+ * @param {Function} [resolveNote] - (href) => note text or null
+ * @returns {Object} Object with text (paragraphs separated by blank lines), blocks
+ *   and the epub:type of the enclosing section
  */
-function extractTextFromFragment(html, startFragment, endFragment) {
+function extractTextFromFragment(html, startFragment, endFragment, resolveNote = null) {
   const parser = new DOMParser();
   const doc = parser.parseFromString(html, 'text/html');
 
@@ -347,56 +604,29 @@ function extractTextFromFragment(html, startFragment, endFragment) {
   doc.querySelectorAll('script, style, nav, aside').forEach((el) => el.remove());
 
   const body = doc.body || doc.documentElement;
-  if (!body) return '';
+  if (!body) return { text: '', blocks: [] };
 
-  // If no fragments, return all text
-  if (!startFragment && !endFragment) {
-    const text = body.textContent || '';
-    return text.replace(/\s+/g, ' ').trim();
-  }
-
-  // Find start and end elements
+  // Find start and end elements (missing fragments mean start/end of document)
   const startEl = startFragment ? doc.getElementById(startFragment) : null;
   const endEl = endFragment ? doc.getElementById(endFragment) : null;
+  if (startFragment && !startEl) return { text: '', blocks: [] };
 
-  // Collect text nodes between start and end
-  const walker = doc.createTreeWalker(body, NodeFilter.SHOW_TEXT, null, false);
-  let collecting = !startFragment; // Start collecting if no start fragment
-  let text = '';
-
-  let node;
-  while ((node = walker.nextNode())) {
-    // Check if we've reached the start element
-    if (startEl && !collecting) {
-      if (startEl.contains(node) || isAfterElement(node, startEl)) {
-        collecting = true;
-      }
-    }
-
-    // Check if we've reached the end element
-    if (endEl && collecting) {
-      if (endEl.contains(node) || isAfterElement(node, endEl)) {
-        break;
-      }
-    }
-
-    if (collecting) {
-      text += node.textContent + ' ';
-    }
-  }
-
-  return text.replace(/\s+/g, ' ').trim();
+  const blocks = extractBlocks(body, { startEl, endEl, resolveNote });
+  const epubType = startEl
+    ? startEl.closest('[epub\\:type]')?.getAttribute('epub:type')
+    : getDocumentEpubType(body);
+  return { text: blocksToText(blocks), blocks, epubType: epubType || null };
 }
 
 /**
- * Check if a node comes after an element in document order
- * @param {Node} node - The node to check
- * @param {Element} element - The reference element
- * @returns {boolean} True if node is after element
+ * Get the epub:type of a whole content document
+ * Taken from the body or the section wrapping its content.
+ * @param {Element} body - The body element
+ * @returns {string|null} The epub:type value
  */
-function isAfterElement(node, element) {
-  const comparison = element.compareDocumentPosition(node);
-  return (comparison & Node.DOCUMENT_POSITION_FOLLOWING) !== 0;
+function getDocumentEpubType(body) {
+  const section = Array.from(body.children).find((child) => child.hasAttribute('epub:type'));
+  return body.getAttribute('epub:type') || section?.getAttribute('epub:type') || null;
 }
 
 /**
@@ -405,9 +635,11 @@ function isAfterElement(node, element) {
  * @param {string[]} spine - Array of manifest IDs in reading order
  * @param {Map} manifest - Map of manifest IDs to href/mediaType
  * @param {string} opfDir - Directory containing the OPF file
+ * @param {Map} sectionTypes - Section types from the guide and landmarks
+ * @param {Object} documents - Content documents from loadDocuments
  * @returns {Promise<Array>} Array of chapter objects
  */
-async function extractChapters(zip, spine, manifest, opfDir) {
+async function extractChapters(zip, spine, manifest, opfDir, sectionTypes, documents) {
   const chapters = [];
 
   for (let i = 0; i < spine.length; i++) {
@@ -430,13 +662,16 @@ async function extractChapters(zip, spine, manifest, opfDir) {
 
     if (!content) continue;
 
-    const { text, title } = extractTextFromHtml(content);
+    const resolveNote = createNoteResolver(documents, filePath);
+    const { text, blocks, title, epubType } = extractTextFromHtml(content, resolveNote);
 
     if (text.trim()) {
       chapters.push({
         id,
         title: title || `Part ${chapters.length + 1}`,
+        sectionType: epubType || lookupSectionType(sectionTypes, item.href, null),
         text,
+        blocks,
         wordCount: countWords(text),
       });
     }
@@ -448,9 +683,10 @@ async function extractChapters(zip, spine, manifest, opfDir) {
 /**
  * Extract plain text from HTML content
  * @param {string} html - The HTML content
- * @returns {Object} Object with text and optional title
+ * @param {Function} [resolveNote] - (href) => note text or null
+ * @returns {Object} Object with text, blocks, optional title and the document's epub:type
  */
-function extractTextFromHtml(html) {
+function extractTextFromHtml(html, resolveNote = null) {
   const parser = new DOMParser();
   const doc = parser.parseFromString(html, 'text/html');
 
@@ -478,23 +714,22 @@ function extractTextFromHtml(html) {
   // Remove script and style elements
   doc.querySelectorAll('script, style, nav, aside').forEach((el) => el.remove());
 
-  // Get text content from body
+  // Get text content from body, keeping paragraph breaks
   const body = doc.body || doc.documentElement;
-  const text = body?.textContent || '';
-
-  // Clean up whitespace
-  const cleanText = text.replace(/\s+/g, ' ').trim();
+  const blocks = body ? extractBlocks(body, { resolveNote }) : [];
+  const cleanText = blocksToText(blocks);
+  const epubType = body ? getDocumentEpubType(body) : null;
 
   // If still no title, try to extract from first meaningful paragraph
   if (!title && cleanText) {
-    const firstLine = cleanText.split(/[.!?]/, 1)[0].trim();
+    const firstLine = cleanText.split(/[.!?\n]/, 1)[0].trim();
     // Use first line as title if it's short enough (likely a chapter title)
     if (firstLine.length > 0 && firstLine.length <= 50 && !firstLine.includes(' ')) {
       title = firstLine;
     }
   }
 
-  return { text: cleanText, title };
+  return { text: cleanText, blocks, title, epubType };
 }
 
 /**
@@ -521,12 +756,3 @@ function isValidTitle(title) {
   const lower = title.toLowerCase();
   return !invalidTitles.some((invalid) => lower === invalid || lower.startsWith(invalid + ' '));
 }
-
-/**
- * Count words in text
- * @param {string} text - The text to count words in
- * @returns {number} Word count
- */
-function countWords(text) {
-  return text.split(/\s+/).filter((word) => word.length > 0).length;
-}
@@ -1,8 +1,10 @@
 /**
  * File Handler Service
- * Manages drag-drop and file picker functionality for EPUB files
+ * Manages drag-drop and file picker functionality for EPUB and text documents
  */
 
+import { BOOK_FORMATS, getBookFormat, getSupportedExtensions } from './book-parser.js';
+
 /**
  * Open file picker using File System Access API
  * Returns both file and handle for persistence
@@ -15,12 +17,10 @@ export async function openFilePicker() {
 
   try {
     const [handle] = await window.showOpenFilePicker({
-      types: [
-        {
-          description: 'EPUB files',
-          accept: { 'application/epub+zip': ['.epub'] },
-        },
-      ],
+      types: BOOK_FORMATS.map((format) => ({
+        description: format.description,
+        accept: { [format.mimeTypes[0]]: format.extensions },
+      })),
       multiple: false,
     });
 
@@ -53,6 +53,8 @@ export function initFileHandler({
   onFileWithHandle,
   onError,
 }) {
+  fileInput.accept = getSupportedExtensions().join(',');
+
   // File picker button click - try FSAA first, fallback to traditional input
   pickerButton.addEventListener('click', async (e) => {
     e.stopPropagation(); // Prevent event from bubbling to dropZone
@@ -151,13 +153,14 @@ export function initFileHandler({
  */
 function handleFile(file, onFile, onError, onFileWithHandle, handle) {
   // Check file extension
-  if (!file.name.toLowerCase().endsWith('.epub')) {
-    onError(new Error('Invalid file type. Please select an EPUB file.'));
+  const format = getBookFormat(file.name);
+  if (!format) {
+    onError(new Error('Invalid file type. Please select an EPUB, text, Markdown or HTML file.'));
     return;
   }
 
   // Check MIME type (some browsers may not set this correctly)
-  const validTypes = ['application/epub+zip', 'application/octet-stream', ''];
+  const validTypes = [...format.mimeTypes, 'application/octet-stream', ''];
   if (!validTypes.includes(file.type)) {
     // Still allow if extension is correct
     console.warn('Unexpected MIME type:', file.type);
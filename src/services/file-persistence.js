@@ -1,16 +1,22 @@
 /**
  * File Persistence Service
- * Manages file handle storage (Chromium) and file content caching (all browsers)
- * using IndexedDB for cross-session persistence
+ * Manages file handle storage (Chromium), file content caching (all browsers),
+ * book covers and the reading session history using IndexedDB for
+ * cross-session persistence
  */
 
 const DB_NAME = 'rsvp_reader_db';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 const STORES = {
   FILE_HANDLES: 'file_handles',
   FILE_CACHE: 'file_cache',
+  READING_SESSIONS: 'reading_sessions',
+  COVERS: 'covers',
 };
 
+// Record ID used before books were keyed by content hash
+const LEGACY_RECORD_ID = 'current_book';
+
 /**
  * Check if File System Access API is supported
  * @returns {boolean}
@@ -40,6 +46,17 @@ function openDatabase() {
       if (!db.objectStoreNames.contains(STORES.FILE_CACHE)) {
         db.createObjectStore(STORES.FILE_CACHE, { keyPath: 'id' });
       }
+
+      // Added in version 2
+      if (!db.objectStoreNames.contains(STORES.READING_SESSIONS)) {
+        const sessions = db.createObjectStore(STORES.READING_SESSIONS, { keyPath: 'id' });
+        sessions.createIndex('startedAt', 'startedAt');
+      }
+
+      // Added in version 3
+      if (!db.objectStoreNames.contains(STORES.COVERS)) {
+        db.createObjectStore(STORES.COVERS, { keyPath: 'id' });
+      }
     };
   });
 }
@@ -50,18 +67,19 @@ function openDatabase() {
 
 /**
  * Store a FileSystemFileHandle in IndexedDB
+ * @param {string} bookId
  * @param {FileSystemFileHandle} handle
  * @param {Object} metadata - { fileName, fileSize }
  * @returns {Promise<void>}
  */
-async function saveFileHandle(handle, metadata) {
+async function saveFileHandle(bookId, handle, metadata) {
   const db = await openDatabase();
   return new Promise((resolve, reject) => {
     const tx = db.transaction(STORES.FILE_HANDLES, 'readwrite');
     const store = tx.objectStore(STORES.FILE_HANDLES);
 
     store.put({
-      id: 'current_book',
+      id: bookId,
       handle,
       fileName: metadata.fileName,
       fileSize: metadata.fileSize,
@@ -75,14 +93,15 @@ async function saveFileHandle(handle, metadata) {
 
 /**
  * Retrieve the stored FileSystemFileHandle
+ * @param {string} bookId
  * @returns {Promise<{handle: FileSystemFileHandle, metadata: Object}|null>}
  */
-async function getFileHandle() {
+async function getFileHandle(bookId) {
   const db = await openDatabase();
   return new Promise((resolve, reject) => {
     const tx = db.transaction(STORES.FILE_HANDLES, 'readonly');
     const store = tx.objectStore(STORES.FILE_HANDLES);
-    const request = store.get('current_book');
+    const request = store.get(bookId);
 
     request.onsuccess = () => {
       const result = request.result;
@@ -104,10 +123,11 @@ async function getFileHandle() {
 
 /**
  * Request permission and get File from stored handle
+ * @param {string} bookId
  * @returns {Promise<File|null>}
  */
-async function loadFileFromHandle() {
-  const stored = await getFileHandle();
+async function loadFileFromHandle(bookId) {
+  const stored = await getFileHandle(bookId);
   if (!stored) return null;
 
   const { handle } = stored;
@@ -127,21 +147,22 @@ async function loadFileFromHandle() {
     return null;
   } catch (error) {
     console.warn('Failed to load file from handle:', error);
-    await clearFileHandle();
+    await clearFileHandle(bookId);
     return null;
   }
 }
 
 /**
  * Clear the stored file handle
+ * @param {string} bookId
  * @returns {Promise<void>}
  */
-async function clearFileHandle() {
+async function clearFileHandle(bookId) {
   const db = await openDatabase();
   return new Promise((resolve, reject) => {
     const tx = db.transaction(STORES.FILE_HANDLES, 'readwrite');
     const store = tx.objectStore(STORES.FILE_HANDLES);
-    store.delete('current_book');
+    store.delete(bookId);
 
     tx.oncomplete = () => resolve();
     tx.onerror = () => reject(tx.error);
@@ -154,10 +175,11 @@ async function clearFileHandle() {
 
 /**
  * Cache the file content in IndexedDB
+ * @param {string} bookId
  * @param {File} file
  * @returns {Promise<void>}
  */
-async function cacheFileContent(file) {
+async function cacheFileContent(bookId, file) {
   const arrayBuffer = await file.arrayBuffer();
   const db = await openDatabase();
 
@@ -166,7 +188,7 @@ async function cacheFileContent(file) {
     const store = tx.objectStore(STORES.FILE_CACHE);
 
     store.put({
-      id: 'current_book',
+      id: bookId,
       content: arrayBuffer,
       fileName: file.name,
       fileSize: file.size,
@@ -181,15 +203,16 @@ async function cacheFileContent(file) {
 
 /**
  * Retrieve cached file content and reconstruct File object
+ * @param {string} bookId
  * @returns {Promise<File|null>}
  */
-async function loadCachedFile() {
+export async function loadCachedFile(bookId) {
   const db = await openDatabase();
 
   return new Promise((resolve, reject) => {
     const tx = db.transaction(STORES.FILE_CACHE, 'readonly');
     const store = tx.objectStore(STORES.FILE_CACHE);
-    const request = store.get('current_book');
+    const request = store.get(bookId);
 
     request.onsuccess = () => {
       const result = request.result;
@@ -208,15 +231,16 @@ async function loadCachedFile() {
 
 /**
  * Check if we have a cached file
+ * @param {string} bookId
  * @returns {Promise<boolean>}
  */
-async function hasCachedFile() {
+async function hasCachedFile(bookId) {
   const db = await openDatabase();
 
   return new Promise((resolve, reject) => {
     const tx = db.transaction(STORES.FILE_CACHE, 'readonly');
     const store = tx.objectStore(STORES.FILE_CACHE);
-    const request = store.get('current_book');
+    const request = store.getKey(bookId);
 
     request.onsuccess = () => resolve(!!request.result);
     request.onerror = () => reject(request.error);
@@ -225,14 +249,139 @@ async function hasCachedFile() {
 
 /**
  * Clear the cached file
+ * @param {string} bookId
  * @returns {Promise<void>}
  */
-async function clearCachedFile() {
+async function clearCachedFile(bookId) {
   const db = await openDatabase();
   return new Promise((resolve, reject) => {
     const tx = db.transaction(STORES.FILE_CACHE, 'readwrite');
     const store = tx.objectStore(STORES.FILE_CACHE);
-    store.delete('current_book');
+    store.delete(bookId);
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// ============================================
+// Cover Methods
+// ============================================
+
+/**
+ * Store a book's cover image
+ * Covers are kept here rather than in the localStorage library, where a few
+ * illustrated books would use up the quota.
+ * @param {string} bookId
+ * @param {string} coverUrl - Cover image as a data URL
+ * @returns {Promise<void>}
+ */
+export async function saveCover(bookId, coverUrl) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORES.COVERS, 'readwrite');
+    tx.objectStore(STORES.COVERS).put({ id: bookId, coverUrl, savedAt: Date.now() });
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Get a book's cover image
+ * @param {string} bookId
+ * @returns {Promise<string|null>} Cover data URL, or null if none is stored
+ */
+export async function loadCover(bookId) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORES.COVERS, 'readonly');
+    const request = tx.objectStore(STORES.COVERS).get(bookId);
+
+    request.onsuccess = () => resolve(request.result?.coverUrl || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Delete a book's cover image
+ * @param {string} bookId
+ * @returns {Promise<void>}
+ */
+export async function clearCover(bookId) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORES.COVERS, 'readwrite');
+    tx.objectStore(STORES.COVERS).delete(bookId);
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// ============================================
+// Reading Session Methods
+// ============================================
+
+/**
+ * Save (or update) a reading session record
+ * @param {Object} session - Session record with a unique id
+ * @returns {Promise<void>}
+ */
+export async function saveReadingSession(session) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORES.READING_SESSIONS, 'readwrite');
+    const store = tx.objectStore(STORES.READING_SESSIONS);
+    store.put(session);
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Get all reading sessions, oldest first
+ * @returns {Promise<Array>} Array of session records
+ */
+export async function getReadingSessions() {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORES.READING_SESSIONS, 'readonly');
+    const index = tx.objectStore(STORES.READING_SESSIONS).index('startedAt');
+    const request = index.getAll();
+
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Save several reading session records at once (existing IDs are updated)
+ * @param {Array} sessions - Session records
+ * @returns {Promise<void>}
+ */
+export async function saveReadingSessions(sessions) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORES.READING_SESSIONS, 'readwrite');
+    const store = tx.objectStore(STORES.READING_SESSIONS);
+    sessions.forEach((session) => store.put(session));
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Delete the whole reading session history
+ * @returns {Promise<void>}
+ */
+export async function clearReadingSessions() {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORES.READING_SESSIONS, 'readwrite');
+    tx.objectStore(STORES.READING_SESSIONS).clear();
 
     tx.oncomplete = () => resolve();
     tx.onerror = () => reject(tx.error);
@@ -243,52 +392,80 @@ async function clearCachedFile() {
 // Unified Public Interface
 // ============================================
 
+/**
+ * Compute a stable book ID from the file content (SHA-256 hex digest)
+ * Falls back to FNV-1a when SubtleCrypto is unavailable (insecure contexts)
+ * @param {File|Blob} file
+ * @returns {Promise<string>}
+ */
+export async function computeBookId(file) {
+  const buffer = await file.arrayBuffer();
+
+  if (window.crypto?.subtle) {
+    const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest))
+      .map((byte) => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  const bytes = new Uint8Array(buffer);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `fnv-${(hash >>> 0).toString(16)}-${bytes.length}`;
+}
+
 /**
  * Save file access - uses File System Access API on Chromium, caches content elsewhere
+ * @param {string} bookId
  * @param {File} file
  * @param {FileSystemFileHandle|null} handle - Only available when using showOpenFilePicker
  * @returns {Promise<void>}
  */
-export async function saveFileAccess(file, handle = null) {
+export async function saveFileAccess(bookId, file, handle = null) {
   if (supportsFileSystemAccess() && handle) {
-    await saveFileHandle(handle, {
+    await saveFileHandle(bookId, handle, {
       fileName: file.name,
       fileSize: file.size,
     });
   }
   // Always cache the file content as fallback
-  await cacheFileContent(file);
+  await cacheFileContent(bookId, file);
 }
 
 /**
  * Load saved file - uses best available method
+ * @param {string} bookId
  * @returns {Promise<File|null>}
  */
-export async function loadSavedFile() {
+export async function loadSavedFile(bookId) {
   // Try File System Access API first (may prompt for permission)
   if (supportsFileSystemAccess()) {
-    const file = await loadFileFromHandle();
+    const file = await loadFileFromHandle(bookId);
     if (file) return file;
   }
 
   // Fall back to cached file
-  return await loadCachedFile();
+  return await loadCachedFile(bookId);
 }
 
 /**
  * Check if we can potentially load a saved file
+ * @param {string} bookId
  * @returns {Promise<{available: boolean, requiresPermission: boolean}>}
  */
-export async function checkSavedFileStatus() {
+export async function checkSavedFileStatus(bookId) {
   // Check if we have a cached file (always available without permission)
-  const cached = await hasCachedFile();
+  const cached = await hasCachedFile(bookId);
   if (cached) {
     return { available: true, requiresPermission: false };
   }
 
   // Check File System Access API handle
   if (supportsFileSystemAccess()) {
-    const stored = await getFileHandle();
+    const stored = await getFileHandle(bookId);
     if (stored) {
       try {
         const permission = await stored.handle.queryPermission({ mode: 'read' });
@@ -306,9 +483,33 @@ export async function checkSavedFileStatus() {
 }
 
 /**
- * Clear all saved file data
+ * Clear all saved file data for a book
+ * @param {string} bookId
  * @returns {Promise<void>}
  */
-export async function clearSavedFile() {
-  await Promise.all([clearFileHandle(), clearCachedFile()]);
+export async function clearSavedFile(bookId) {
+  await Promise.all([clearFileHandle(bookId), clearCachedFile(bookId)]);
+}
+
+/**
+ * Re-key the pre-library 'current_book' records under their content hash
+ * @returns {Promise<string|null>} The migrated book ID, or null if there was nothing to migrate
+ */
+export async function migrateLegacyFile() {
+  const file = await loadCachedFile(LEGACY_RECORD_ID);
+  if (!file) {
+    await clearSavedFile(LEGACY_RECORD_ID);
+    return null;
+  }
+
+  const bookId = await computeBookId(file);
+  await cacheFileContent(bookId, file);
+
+  const stored = await getFileHandle(LEGACY_RECORD_ID);
+  if (stored) {
+    await saveFileHandle(bookId, stored.handle, stored.metadata);
+  }
+
+  await clearSavedFile(LEGACY_RECORD_ID);
+  return bookId;
 }
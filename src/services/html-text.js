@@ -0,0 +1,325 @@
+/**
+ * HTML Text Service
+ * Extracts readable text from HTML while keeping paragraph boundaries and
+ * block structure (headings, list items, blockquotes, emphasis, notes)
+ */
+
+import { findWordStarts } from './segmenter.js';
+
+// Elements whose content forms its own paragraph
+const BLOCK_SELECTOR = [
+  'p', 'div', 'section', 'article', 'main', 'header', 'footer',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'li', 'dt', 'dd', 'blockquote', 'pre', 'figcaption', 'caption',
+  'td', 'th', 'tr', 'table', 'ul', 'ol', 'dl',
+].join(', ');
+
+// Inline elements rendered as emphasis
+const EMPHASIS_SELECTOR = 'em, strong, i, b';
+
+// Links marked as references to a footnote or endnote
+const NOTEREF_SELECTOR = 'a[epub\\:type~="noteref"], a[role="doc-noteref"]';
+
+// Footnote bodies placed in the text flow (read through their reference instead)
+const FOOTNOTE_SELECTOR = '[epub\\:type~="footnote"], [role="doc-footnote"]';
+
+// Back links from a note to its reference
+const BACKLINK_SELECTOR = 'a[epub\\:type~="backlink"], a[role="doc-backlink"]';
+
+const MAX_MARKER_LENGTH = 4; // Longest unmarked superscript link taken as a note marker, e.g. "12" or "[3]"
+
+/**
+ * Extract structured text blocks between two optional boundary elements
+ * Each block element (paragraph, heading, list item...) becomes one block;
+ * whitespace inside a block is collapsed to single spaces.
+ * Note reference markers are left out of the text; the note they point to is
+ * attached to the word before the marker.
+ * @param {Element} root - Element to extract from (usually the body)
+ * @param {Object} [options]
+ * @param {Element|null} [options.startEl] - Start collecting at this element
+ * @param {Element|null} [options.endEl] - Stop collecting at this element
+ * @param {Function} [options.skip] - (textNode) => boolean, skip matching text nodes
+ * @param {Function} [options.resolveNote] - (href, refId) => note text or null; refId is the
+ *   id of the reference link, so back links to it can be left out of the note
+ * @returns {Array} Array of blocks ({ type, text, emphasized, notes })
+ */
+export function extractBlocks(root, { startEl = null, endEl = null, skip = null, resolveNote = null } = {}) {
+  const doc = root.ownerDocument;
+  const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+  const blocks = [];
+  let currentBlock = null;
+  let segments = [];
+  let collecting = !startEl;
+  let lastNoteref = null;
+
+  const finishBlock = () => {
+    if (segments.length > 0) {
+      const block = createTextBlock(segments, getBlockType(currentBlock, root));
+      if (block) blocks.push(block);
+    }
+    segments = [];
+  };
+
+  let node;
+  while ((node = walker.nextNode())) {
+    // Check if we've reached the start element
+    if (startEl && !collecting) {
+      if (startEl.contains(node) || isAfterElement(node, startEl)) {
+        collecting = true;
+      }
+    }
+
+    // Check if we've reached the end element
+    if (endEl && collecting) {
+      if (endEl.contains(node) || isAfterElement(node, endEl)) {
+        break;
+      }
+    }
+
+    if (!collecting || skip?.(node) || isInside(node, FOOTNOTE_SELECTOR, root)) continue;
+
+    // A marker can span several text nodes ("[", "1", "]") - attach its note once
+    const noteref = getNoteref(node, root);
+    if (noteref) {
+      if (noteref !== lastNoteref) {
+        lastNoteref = noteref;
+        const note = resolveNote?.(noteref.getAttribute('href'), noteref.id || null);
+        if (note) segments.push({ text: '', emphasized: false, note });
+      }
+      continue;
+    }
+
+    const block = getBlockAncestor(node, root);
+    const lineBreaks = countLineBreaksBefore(node);
+    if (block !== currentBlock || lineBreaks >= 2) {
+      finishBlock();
+      currentBlock = block;
+    } else if (lineBreaks === 1) {
+      segments.push({ text: ' ', emphasized: false });
+    }
+
+    // Inline elements inside a block join without spaces, as the browser renders them
+    const emphasis = node.parentElement?.closest(EMPHASIS_SELECTOR);
+    segments.push({
+      text: node.textContent,
+      emphasized: !!emphasis && root.contains(emphasis),
+    });
+  }
+  finishBlock();
+
+  return blocks;
+}
+
+/**
+ * Build a text block from inline segments
+ * A word counts as emphasized when any of its letters or digits are emphasized.
+ * A note segment belongs to the word it follows (or the first word).
+ * Runs of Chinese, Japanese or Thai are split into words, and the
+ * emphasized and notes indices count those words.
+ * @param {Array} segments - Array of { text, emphasized, note? }
+ * @param {string} [type] - 'paragraph', 'heading', 'listItem' or 'blockquote'
+ * @returns {Object|null} Block ({ type, text, emphasized, notes }) or null if it has no words
+ */
+export function createTextBlock(segments, type = 'paragraph') {
+  const words = [];
+  const emphasized = [];
+  const notes = [];
+  let wordCount = 0;
+  let word = '';
+  let emphasisRanges = []; // [start, end) offsets of emphasized parts of the current word
+  let wordNotes = []; // { offset, text } of notes inside the current word
+
+  const finishWord = () => {
+    if (!word) return;
+
+    // Character offset where each of the word's pieces starts
+    const starts = findWordStarts(word);
+    const pieceAt = (offset) => Math.max(0, starts.findLastIndex((start) => start <= offset));
+
+    starts.forEach((start, i) => {
+      const end = starts[i + 1] ?? word.length;
+      if (emphasisRanges.some(([from, to]) => from < end && to > start)) {
+        emphasized.push(wordCount + i);
+      }
+    });
+    wordNotes.forEach(({ offset, text }) => {
+      notes.push({ index: wordCount + pieceAt(offset - 1), text });
+    });
+
+    words.push(word);
+    wordCount += starts.length;
+    word = '';
+    emphasisRanges = [];
+    wordNotes = [];
+  };
+
+  segments.forEach((segment) => {
+    if (segment.note) {
+      if (word) {
+        wordNotes.push({ offset: word.length, text: segment.note });
+      } else {
+        notes.push({ index: Math.max(0, wordCount - 1), text: segment.note });
+      }
+    }
+
+    segment.text.split(/(\s+)/).forEach((part) => {
+      if (!part) return;
+      if (/^\s+$/.test(part)) {
+        finishWord();
+        return;
+      }
+      if (segment.emphasized && /[\p{L}\p{N}]/u.test(part)) {
+        emphasisRanges.push([word.length, word.length + part.length]);
+      }
+      word += part;
+    });
+  });
+  finishWord();
+
+  if (words.length === 0) return null;
+
+  // emphasized and notes hold word indices within the block
+  return { type, text: words.join(' '), emphasized, notes };
+}
+
+/**
+ * Get the text of a footnote or endnote
+ * The target may be the note itself or an anchor inside it. Marked back
+ * links are removed, and so are short unmarked links ("1", "↩") back to the
+ * reference; other links ("see here", "p. 3") are part of the note.
+ * @param {Element} target - Element the note reference points to
+ * @param {string|null} [refId] - Id of the reference link
+ * @returns {string|null} Note text without its number and back links
+ */
+export function getNoteText(target, refId = null) {
+  const noteSelector = `${BLOCK_SELECTOR}, aside`;
+  const note = target.matches(noteSelector) ? target : target.closest(noteSelector) || target;
+
+  const isBackToRef = (link) => {
+    if (!refId || link.textContent.trim().length > MAX_MARKER_LENGTH) return false;
+    const fragment = link.getAttribute('href').split('#')[1];
+    return fragment !== undefined && decodeURIComponent(fragment) === refId;
+  };
+
+  const clone = note.cloneNode(true);
+  clone.querySelectorAll('a[href]').forEach((link) => {
+    if (link.matches(BACKLINK_SELECTOR) || isBackToRef(link)) {
+      link.remove();
+    }
+  });
+
+  const text = clone.textContent
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(\[\d+\]|\d+[.)])\s*/, ''); // Leading note number, e.g. "1." or "[1]"
+  return text || null;
+}
+
+/**
+ * Join blocks into chapter text
+ * @param {Array} blocks - Array of blocks
+ * @returns {string} Text with "\n\n" between blocks
+ */
+export function blocksToText(blocks) {
+  return blocks.map((block) => block.text).join('\n\n');
+}
+
+/**
+ * Normalize paragraphs and join them with blank lines
+ * @param {string[]} paragraphs - Raw paragraph strings
+ * @returns {string} Text with "\n\n" between paragraphs
+ */
+export function joinParagraphs(paragraphs) {
+  return paragraphs
+    .map((paragraph) => paragraph.replace(/\s+/g, ' ').trim())
+    .filter((paragraph) => paragraph.length > 0)
+    .join('\n\n');
+}
+
+/**
+ * Find the note reference link a text node belongs to
+ * Marked links (epub:type="noteref") always count; unmarked ones only when
+ * they are short superscripts such as <sup><a href="#n1">1</a></sup>.
+ * @param {Node} node - Text node
+ * @param {Element} root - Extraction root
+ * @returns {Element|null} The link or null
+ */
+function getNoteref(node, root) {
+  const link = node.parentElement?.closest('a[href*="#"]');
+  if (!link || !root.contains(link)) return null;
+  if (link.matches(NOTEREF_SELECTOR)) return link;
+
+  const superscript = link.closest('sup') || link.querySelector('sup');
+  return superscript && link.textContent.trim().length <= MAX_MARKER_LENGTH ? link : null;
+}
+
+/**
+ * Check whether a node is inside an element matching a selector, within the root
+ * @param {Node} node - Text node
+ * @param {string} selector - CSS selector
+ * @param {Element} root - Extraction root
+ * @returns {boolean} True if inside a match
+ */
+function isInside(node, selector, root) {
+  const match = node.parentElement?.closest(selector);
+  return !!match && root.contains(match);
+}
+
+/**
+ * Find the nearest block-level ancestor of a node
+ * @param {Node} node - Text node
+ * @param {Element} root - Extraction root (fallback block)
+ * @returns {Element} Block element
+ */
+function getBlockAncestor(node, root) {
+  const block = node.parentElement?.closest(BLOCK_SELECTOR);
+  return block && root.contains(block) ? block : root;
+}
+
+/**
+ * Determine the block type of a block element
+ * @param {Element} block - Block element (or the extraction root)
+ * @param {Element} root - Extraction root
+ * @returns {string} 'heading', 'listItem', 'blockquote' or 'paragraph'
+ */
+function getBlockType(block, root) {
+  if (!block || block === root) return 'paragraph';
+  if (/^H[1-6]$/.test(block.nodeName)) return 'heading';
+
+  const listItem = block.closest('li, dt, dd');
+  if (listItem && root.contains(listItem)) return 'listItem';
+
+  const quote = block.closest('blockquote');
+  if (quote && root.contains(quote)) return 'blockquote';
+
+  return 'paragraph';
+}
+
+/**
+ * Count the <br> elements directly preceding a text node
+ * Books often use <br><br> instead of separate paragraphs.
+ * @param {Node} node - Text node
+ * @returns {number} Number of line breaks since the previous text
+ */
+function countLineBreaksBefore(node) {
+  let breaks = 0;
+  for (let sibling = node.previousSibling; sibling; sibling = sibling.previousSibling) {
+    if (sibling.nodeName === 'BR') {
+      breaks++;
+    } else if (sibling.nodeType !== Node.TEXT_NODE || sibling.textContent.trim()) {
+      break;
+    }
+  }
+  return breaks;
+}
+
+/**
+ * Check if a node comes after an element in document order
+ * @param {Node} node - The node to check
+ * @param {Element} element - The reference element
+ * @returns {boolean} True if node is after element
+ */
+function isAfterElement(node, element) {
+  const comparison = element.compareDocumentPosition(node);
+  return (comparison & Node.DOCUMENT_POSITION_FOLLOWING) !== 0;
+}
@@ -0,0 +1,51 @@
+/**
+ * Language Service
+ * Language codes and text direction for books and the words in them
+ */
+
+// Languages written right to left
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ks', 'ps', 'sd', 'syr', 'ug', 'ur', 'yi']);
+
+// Languages whose right-to-left page progression comes from vertical
+// writing - their lines still read left to right once set horizontally
+const VERTICAL_LANGUAGES = new Set(['ja', 'ko', 'mn', 'zh']);
+
+const STRONG_RTL = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u;
+const STRONG_LTR = /(?![\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}])\p{L}/u;
+
+/**
+ * Get the primary subtag of a language code ("en-GB" -> "en")
+ * @param {string|null|undefined} language - Language code from the book metadata
+ * @returns {string} Lowercase primary language, or '' if unknown
+ */
+export function getPrimaryLanguage(language) {
+  return (language || '').trim().toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Get the base text direction of a book
+ * The language decides where it can; otherwise an EPUB's
+ * page-progression-direction (or an HTML dir attribute) does.
+ * @param {Object} metadata - Book metadata with language and direction
+ * @returns {'ltr'|'rtl'} Text direction
+ */
+export function getBookDirection({ language, direction } = {}) {
+  const primary = getPrimaryLanguage(language);
+  if (RTL_LANGUAGES.has(primary)) return 'rtl';
+  if (direction === 'rtl' && !VERTICAL_LANGUAGES.has(primary)) return 'rtl';
+  return 'ltr';
+}
+
+/**
+ * Get the direction of a single word
+ * A word's own letters win, so a Latin name in a Hebrew book reads left to
+ * right; numbers and punctuation follow the book.
+ * @param {string} word - Word to check
+ * @param {'ltr'|'rtl'} fallback - Book direction
+ * @returns {'ltr'|'rtl'} Text direction
+ */
+export function getWordDirection(word, fallback) {
+  if (STRONG_RTL.test(word)) return 'rtl';
+  if (STRONG_LTR.test(word)) return 'ltr';
+  return fallback;
+}
@@ -1,50 +1,163 @@
 /**
  * ORP (Optimal Recognition Point) Service
  * Calculates the optimal recognition point for words in RSVP display
+ *
+ * Positions count grapheme clusters rather than UTF-16 code units, so a
+ * letter with combining marks (Hebrew points, Devanagari vowel signs) or an
+ * emoji sequence is never cut apart. Which position is chosen depends on an
+ * ORP strategy, selected per language.
+ */
+
+import { getPrimaryLanguage } from './language.js';
+
+const ZWJ = '\u200D';
+
+/**
+ * Built-in ORP strategies
+ * Each takes the word length in graphemes and returns the ORP index.
+ * @type {Object<string, Function>}
+ */
+export const ORP_STRATEGIES = {
+  /**
+   * Fixed length buckets tuned for English
+   * - 1 char: index 0
+   * - 2-5 chars: index 1
+   * - 6-9 chars: index 2
+   * - 10-13 chars: index 3
+   * - 14+ chars: index 4
+   */
+  buckets(length) {
+    if (length <= 1) return 0;
+    if (length <= 5) return 1;
+    if (length <= 9) return 2;
+    if (length <= 13) return 3;
+    return 4;
+  },
+
+  /**
+   * Buckets up to 13 characters, then about 30% into the word - compounds
+   * in German or Finnish run well past the last bucket
+   */
+  proportional(length) {
+    if (length <= 13) return ORP_STRATEGIES.buckets(length);
+    return Math.round(length * 0.3);
+  },
+
+  /**
+   * The middle of the word, for scripts whose words are a few characters
+   * (Chinese, Japanese)
+   */
+  center(length) {
+    return Math.max(0, Math.floor((length - 1) / 2));
+  },
+};
+
+// Strategy per primary language; anything else uses buckets
+const LANGUAGE_STRATEGIES = new Map([
+  ['da', 'proportional'],
+  ['de', 'proportional'],
+  ['et', 'proportional'],
+  ['fi', 'proportional'],
+  ['hu', 'proportional'],
+  ['is', 'proportional'],
+  ['nb', 'proportional'],
+  ['nl', 'proportional'],
+  ['no', 'proportional'],
+  ['sv', 'proportional'],
+  ['tr', 'proportional'],
+  ['ja', 'center'],
+  ['zh', 'center'],
+]);
+
+// Arabic-script letters that only join to the letter before them (alef, dal, reh, waw...)
+const RIGHT_JOINING =
+  /[\u0622-\u0625\u0627\u0629\u062F-\u0632\u0648\u0671-\u0673\u0675-\u0677\u0688-\u0699\u06C0\u06C3-\u06CB\u06CD\u06CF\u06D2\u06D3\u06D5\u06EE\u06EF]/u;
+const ARABIC_LETTER = /^(?=\p{L})\p{Script=Arabic}/u;
+const HAMZA = '\u0621'; // Arabic letter that joins on neither side
+
+let graphemeSegmenter = null;
+
+/**
+ * Use a strategy for a language
+ * @param {string} language - Language code ("de", "he-IL"...)
+ * @param {string|Function} strategy - Name from ORP_STRATEGIES, or (length) => index
+ */
+export function registerOrpStrategy(language, strategy) {
+  LANGUAGE_STRATEGIES.set(getPrimaryLanguage(language), strategy);
+}
+
+/**
+ * Get the ORP strategy for a language
+ * @param {string|null} [language] - Language code from the book metadata
+ * @returns {Function} (length) => index
+ */
+export function getOrpStrategy(language) {
+  const strategy = LANGUAGE_STRATEGIES.get(getPrimaryLanguage(language));
+  if (typeof strategy === 'function') return strategy;
+  return ORP_STRATEGIES[strategy] || ORP_STRATEGIES.buckets;
+}
+
+/**
+ * Split a word into grapheme clusters (user-perceived characters)
+ * @param {string} word - The word
+ * @returns {string[]} Grapheme clusters
  */
+export function splitGraphemes(word) {
+  if (typeof Intl === 'undefined' || !Intl.Segmenter) {
+    return Array.from(word);
+  }
+  if (!graphemeSegmenter) {
+    graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+  }
+  return Array.from(graphemeSegmenter.segment(word), ({ segment }) => segment);
+}
 
 /**
  * Calculate the ORP index for a word
  * The ORP is typically around 20-30% into the word, which is where
  * the eye naturally focuses for fastest word recognition.
- *
- * Rules:
- * - 1 char: index 0
- * - 2-5 chars: index 1
- * - 6-9 chars: index 2
- * - 10-13 chars: index 3
- * - 14+ chars: index 4
- *
  * @param {string} word - The word to calculate ORP for
- * @returns {number} The index of the ORP character
+ * @param {string|null} [language] - Language code, to pick the strategy
+ * @returns {number} The index of the ORP grapheme
  */
-export function calculateOrpIndex(word) {
-  const len = word.length;
-
-  if (len <= 1) return 0;
-  if (len <= 5) return 1;
-  if (len <= 9) return 2;
-  if (len <= 13) return 3;
-  return 4;
+export function calculateOrpIndex(word, language) {
+  const length = splitGraphemes(word).length;
+  if (length <= 1) return 0;
+
+  const index = getOrpStrategy(language)(length);
+  return Math.max(0, Math.min(length - 1, Math.round(index)));
 }
 
 /**
  * Split a word into three parts: before ORP, ORP character, after ORP
+ * Where an Arabic-script word is cut between two joined letters, zero
+ * width joiners keep their connected forms across the parts.
  * @param {string} word - The word to split
+ * @param {string|null} [language] - Language code, to pick the strategy
  * @returns {Object} Object with before, orp, and after strings
  */
-export function splitWordAtOrp(word) {
+export function splitWordAtOrp(word, language) {
   if (!word || word.length === 0) {
     return { before: '', orp: '', after: '' };
   }
 
-  const orpIndex = calculateOrpIndex(word);
+  const graphemes = splitGraphemes(word);
+  const orpIndex = calculateOrpIndex(word, language);
 
-  return {
-    before: word.substring(0, orpIndex),
-    orp: word[orpIndex] || '',
-    after: word.substring(orpIndex + 1),
-  };
+  let before = graphemes.slice(0, orpIndex).join('');
+  let orp = graphemes[orpIndex] || '';
+  let after = graphemes.slice(orpIndex + 1).join('');
+
+  if (before && isJoined(before, orp)) {
+    before += ZWJ;
+    orp = ZWJ + orp;
+  }
+  if (after && isJoined(orp, after)) {
+    orp += ZWJ;
+    after = ZWJ + after;
+  }
+
+  return { before, orp, after };
 }
 
 /**
@@ -52,11 +165,12 @@ export function splitWordAtOrp(word) {
  * This helps keep the ORP at a fixed position on screen
  * @param {string} word - The word
  * @param {number} maxPadding - Maximum padding characters
+ * @param {string|null} [language] - Language code, to pick the strategy
  * @returns {Object} Object with leftPad and rightPad counts
  */
-export function calculateOrpPadding(word, maxPadding = 10) {
-  const orpIndex = calculateOrpIndex(word);
-  const charsAfterOrp = word.length - orpIndex - 1;
+export function calculateOrpPadding(word, maxPadding = 10, language = null) {
+  const orpIndex = calculateOrpIndex(word, language);
+  const charsAfterOrp = splitGraphemes(word).length - orpIndex - 1;
 
   // We want the ORP to be roughly centered
   // Pad left so ORP aligns, pad right to balance
@@ -68,3 +182,19 @@ export function calculateOrpPadding(word, maxPadding = 10) {
     rightPad: Math.max(0, rightPad),
   };
 }
+
+/**
+ * Check whether the last letter of one part joins the first letter of the next
+ * Only Arabic-script letters join; combining marks in between are skipped.
+ * @param {string} left - Text before the cut
+ * @param {string} right - Text after the cut
+ * @returns {boolean} True if the letters are connected in the whole word
+ */
+function isJoined(left, right) {
+  const last = Array.from(left.replace(/\p{M}+$/u, '')).pop() || '';
+  const first = right[0] || '';
+
+  const joinsForward = ARABIC_LETTER.test(last) && last !== HAMZA && !RIGHT_JOINING.test(last);
+  const joinsBackward = ARABIC_LETTER.test(first) && first !== HAMZA;
+  return joinsForward && joinsBackward;
+}
@@ -0,0 +1,167 @@
+/**
+ * Reading Stats Service
+ * Aggregates the reading session history into daily totals, streaks and trends
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the local calendar day of a timestamp as YYYY-MM-DD
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Date key
+ */
+export function toDateKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the date keys of the last N days, oldest first, ending today
+ * @param {number} days - Number of days
+ * @param {number} [now] - Current time
+ * @returns {string[]} Date keys
+ */
+function getRecentDateKeys(days, now = Date.now()) {
+  const keys = [];
+  const today = new Date(now);
+  for (let i = days - 1; i >= 0; i--) {
+    // Calendar arithmetic keeps daylight saving changes out of the way
+    const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+    keys.push(toDateKey(date.getTime()));
+  }
+  return keys;
+}
+
+/**
+ * Sum words and reading time per day for the last N days
+ * @param {Array} sessions - Session records
+ * @param {number} days - Number of days to include
+ * @returns {Array} Array of { date, wordsRead, durationMs, averageWpm } (oldest first)
+ */
+export function getDailyTotals(sessions, days) {
+  const totals = new Map(getRecentDateKeys(days).map((date) => [date, { date, wordsRead: 0, durationMs: 0 }]));
+
+  sessions.forEach((session) => {
+    const day = totals.get(toDateKey(session.startedAt));
+    if (day) {
+      day.wordsRead += session.wordsRead;
+      day.durationMs += session.durationMs;
+    }
+  });
+
+  return Array.from(totals.values()).map((day) => ({
+    ...day,
+    averageWpm: day.durationMs > 0 ? Math.round(day.wordsRead / (day.durationMs / 60000)) : null,
+  }));
+}
+
+/**
+ * Count consecutive reading days
+ * The current streak stays alive until a full day passes without reading.
+ * @param {Array} sessions - Session records
+ * @param {number} [now] - Current time
+ * @returns {{current: number, longest: number}} Streak lengths in days
+ */
+export function getStreaks(sessions, now = Date.now()) {
+  const days = new Set(sessions.filter((s) => s.wordsRead > 0).map((s) => toDateKey(s.startedAt)));
+  const sorted = Array.from(days).sort();
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  sorted.forEach((key) => {
+    run = previous && daysBetween(previous, key) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = key;
+  });
+
+  const [yesterday, today] = getRecentDateKeys(2, now);
+  let current = 0;
+  if (days.has(today) || days.has(yesterday)) {
+    let key = days.has(today) ? today : yesterday;
+    while (days.has(key)) {
+      current++;
+      key = shiftDateKey(key, -1);
+    }
+  }
+
+  return { current, longest };
+}
+
+/**
+ * Total time and words per book, most time first
+ * @param {Array} sessions - Session records
+ * @returns {Array} Array of { bookId, title, wordsRead, durationMs, sessionCount }
+ */
+export function getBookTotals(sessions) {
+  const books = new Map();
+
+  sessions.forEach((session) => {
+    // Unsaved pasted text has no book ID - group it by title
+    const key = session.bookId || `untitled:${session.bookTitle}`;
+    const book = books.get(key) || {
+      bookId: session.bookId,
+      title: session.bookTitle || 'Untitled',
+      wordsRead: 0,
+      durationMs: 0,
+      sessionCount: 0,
+    };
+    book.wordsRead += session.wordsRead;
+    book.durationMs += session.durationMs;
+    book.sessionCount++;
+    books.set(key, book);
+  });
+
+  return Array.from(books.values()).sort((a, b) => b.durationMs - a.durationMs);
+}
+
+/**
+ * Overall totals across all sessions
+ * @param {Array} sessions - Session records
+ * @returns {{wordsRead: number, durationMs: number, averageWpm: number|null, sessionCount: number}}
+ */
+export function getOverallTotals(sessions) {
+  const wordsRead = sessions.reduce((sum, s) => sum + s.wordsRead, 0);
+  const durationMs = sessions.reduce((sum, s) => sum + s.durationMs, 0);
+
+  return {
+    wordsRead,
+    durationMs,
+    averageWpm: durationMs > 0 ? Math.round(wordsRead / (durationMs / 60000)) : null,
+    sessionCount: sessions.length,
+  };
+}
+
+/**
+ * Number of calendar days between two date keys
+ * @param {string} from - Earlier date key
+ * @param {string} to - Later date key
+ * @returns {number} Days
+ */
+function daysBetween(from, to) {
+  return Math.round((parseDateKey(to) - parseDateKey(from)) / DAY_MS);
+}
+
+/**
+ * Move a date key by a number of days
+ * @param {string} key - Date key
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted date key
+ */
+function shiftDateKey(key, days) {
+  const date = new Date(parseDateKey(key));
+  date.setDate(date.getDate() + days);
+  return toDateKey(date.getTime());
+}
+
+/**
+ * Parse a date key into local midnight
+ * @param {string} key - Date key (YYYY-MM-DD)
+ * @returns {number} Timestamp
+ */
+function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day).getTime();
+}
@@ -3,53 +3,266 @@
  * Controls the word-by-word display timing using requestAnimationFrame
  */
 
+import { createWeightedTiming } from './timing.js';
+
+const MAX_FRAME_GAP = 250; // ms - longer gaps (background tabs, breakpoints) are not caught up
+
 /**
  * Create an RSVP engine instance
  * @param {Object} options
  * @param {Array} options.tokens - Array of word tokens
- * @param {number} options.wpm - Words per minute (300-1000)
+ * @param {number} options.wpm - Words per minute (within minWpm-maxWpm)
+ * @param {number} options.minWpm - Lowest WPM setWpm accepts
+ * @param {number} options.maxWpm - Highest WPM setWpm accepts
  * @param {number} options.chunkSize - Number of words to display at once (1-5)
+ * @param {Function} options.timingModel - Timing model from timing.js (relative per-token weights)
+ * @param {Object|null} options.warmup - Warm-up after play: { unit: 'words'|'seconds', amount, startFactor }
+ * @param {Object|null} options.training - Training mode: { wpmPerMinute, ceilingWpm }
+ * @param {Array} options.excludedRanges - Sorted token ranges ({ start, end }) playback skips over
+ * @param {Function} options.getInsertion - (index, chunkSize) => extra tokens to read after the
+ *   chunk at index (e.g. footnotes), or null. They don't move the position in the book.
+ * @param {Function|null} options.splitWord - (token) => fragment tokens shown in turn instead of
+ *   a long word, or null if it fits. Only used at chunk size 1.
  * @param {Function} options.onWord - Callback when a new word should be displayed
  * @param {Function} options.onStateChange - Callback when play/pause state changes
  * @param {Function} options.onProgress - Callback for progress updates
+ * @param {Function} options.onRateChange - Callback when the effective WPM changes while playing
  * @param {Function} options.onEnd - Callback when reading reaches the end
  * @returns {Object} Engine control interface
  */
 export function createRsvpEngine({
   tokens,
   wpm = 300,
+  minWpm = 300,
+  maxWpm = 1000,
   chunkSize = 1,
+  timingModel = createWeightedTiming(),
+  warmup = null,
+  training = null,
+  excludedRanges = [],
+  getInsertion,
+  splitWord = null,
   onWord,
   onStateChange,
   onProgress,
+  onRateChange,
   onEnd,
 }) {
   let currentIndex = 0;
-  let currentWpm = wpm;
+  let wpmRange = { min: minWpm, max: maxWpm };
+  let currentWpm = clampWpm(wpm);
   let currentChunkSize = Math.max(1, Math.min(5, chunkSize));
   let isPlaying = false;
   let lastFrameTime = 0;
   let accumulatedTime = 0;
   let animationFrameId = null;
+  let currentTimingModel = timingModel;
+  let weightMean = 1;
+  let weights = computeWeights(timingModel);
+  let weightTotals = sumWeights(weights);
+  let warmupConfig = warmup;
+  let trainingConfig = training;
+  let skippedRanges = excludedRanges;
+  let inserted = null; // { tokens, weights, position } - extra tokens being read at currentIndex
+  let wordSplitter = splitWord;
+  let fragments = null; // { tokens, weights, position } - pieces of the long word on screen
+  let warmupElapsed = 0; // ms played since the last play()
+  let warmupWords = 0; // words shown since the last play()
+  let trainingElapsed = 0; // ms played since the engine was created
+  let lastReportedRate = null;
 
   /**
-   * Calculate milliseconds per word based on WPM
+   * Calculate milliseconds per word based on the effective WPM
    * @returns {number} Milliseconds per word
    */
   function getMsPerWord() {
-    return 60000 / currentWpm;
+    return 60000 / getEffectiveWpm();
+  }
+
+  /**
+   * How far the warm-up has progressed
+   * @returns {number} 0 (just started) to 1 (done or disabled)
+   */
+  function getWarmupProgress() {
+    if (!warmupConfig || !(warmupConfig.amount > 0)) return 1;
+
+    const done = warmupConfig.unit === 'seconds' ? warmupElapsed / 1000 : warmupWords;
+    return Math.min(1, done / warmupConfig.amount);
+  }
+
+  /**
+   * Get the target WPM including the training increase
+   * Training never goes past the ceiling or the fastest allowed speed.
+   * @returns {number} Target WPM
+   */
+  function getTargetWpm() {
+    if (!trainingConfig) return currentWpm;
+
+    const raised = currentWpm + trainingConfig.wpmPerMinute * (trainingElapsed / 60000);
+    return Math.max(currentWpm, Math.min(trainingConfig.ceilingWpm, clampWpm(raised)));
+  }
+
+  /**
+   * Get the WPM currently used for timing (training target scaled by the warm-up)
+   * @returns {number} Effective WPM
+   */
+  function getEffectiveWpm() {
+    const startFactor = Math.max(0.1, Math.min(1, warmupConfig?.startFactor ?? 1));
+    const factor = startFactor + (1 - startFactor) * getWarmupProgress();
+    return getTargetWpm() * factor;
   }
 
   /**
-   * Get additional delay for sentence-ending words (smart pause)
-   * @param {Object} token - The current token
-   * @returns {number} Additional delay in ms
+   * Get the current rate and whether warm-up or training is changing it
+   * @returns {Object} { wpm, targetWpm, isWarmingUp, isTraining }
    */
-  function getSmartPauseDelay(token) {
-    if (token.hasSentenceEnd) {
-      return 75; // 75ms extra pause at sentence boundaries
+  function getRateStatus() {
+    return {
+      wpm: Math.round(isPlaying ? getEffectiveWpm() : getTargetWpm()),
+      targetWpm: currentWpm,
+      isWarmingUp: isPlaying && getWarmupProgress() < 1,
+      isTraining: !!trainingConfig && getTargetWpm() > currentWpm,
+    };
+  }
+
+  /**
+   * Report the rate when its rounded value or phase changes
+   */
+  function reportRate() {
+    const status = getRateStatus();
+    const key = `${status.wpm}:${status.isWarmingUp}:${status.isTraining}`;
+    if (key !== lastReportedRate) {
+      lastReportedRate = key;
+      onRateChange?.(status);
     }
-    return 0;
+  }
+
+  /**
+   * Run the timing model and normalize its weights to a mean of 1,
+   * so the average rate stays at the chosen WPM
+   * @param {Function} model - Timing model
+   * @returns {Float32Array} Normalized per-token weights
+   */
+  function computeWeights(model) {
+    const raw = model(tokens);
+    const total = raw.reduce((sum, weight) => sum + weight, 0);
+    weightMean = raw.length > 0 && total > 0 ? total / raw.length : 1;
+    return Float32Array.from(raw, (weight) => weight / weightMean);
+  }
+
+  /**
+   * Build running totals of the token weights, so ranges can be summed quickly
+   * @param {Float32Array} source - Per-token weights
+   * @returns {Float64Array} Total weight before each index (length + 1 entries)
+   */
+  function sumWeights(source) {
+    const totals = new Float64Array(source.length + 1);
+    source.forEach((weight, i) => {
+      totals[i + 1] = totals[i] + weight;
+    });
+    return totals;
+  }
+
+  /**
+   * Get how long the current word/chunk (of the book or the insertion) stays on screen
+   * Chunks use the average weight of their words; fragments have their own.
+   * @returns {number} Duration in ms
+   */
+  function getDisplayDuration() {
+    if (fragments) {
+      return getMsPerWord() * fragments.weights[fragments.position];
+    }
+
+    const source = inserted ? inserted.weights : weights;
+    const index = inserted ? inserted.position : currentIndex;
+    const end = Math.min(index + currentChunkSize, source.length);
+    let weight = 0;
+    for (let i = index; i < end; i++) {
+      weight += source[i];
+    }
+    return getMsPerWord() * (end > index ? weight / (end - index) : 1);
+  }
+
+  /**
+   * Move on within inserted tokens, or start the insertion for the chunk just shown
+   * @returns {boolean} True if an inserted chunk is next; false to advance in the book
+   */
+  function advanceInsertion() {
+    if (inserted) {
+      inserted.position += currentChunkSize;
+      if (inserted.position < inserted.tokens.length) return true;
+      inserted = null;
+      return false;
+    }
+
+    const extra = getInsertion?.(currentIndex, currentChunkSize);
+    if (!extra || extra.length === 0) return false;
+
+    // Same scale and word frequencies as the book's weights, so inserted words follow the same rate
+    const raw = currentTimingModel(extra, { frequencySource: tokens });
+    inserted = { tokens: extra, weights: raw.map((weight) => weight / weightMean), position: 0 };
+    return true;
+  }
+
+  /**
+   * Split the word now due (of the book or the insertion) if it is too long
+   */
+  function startFragments() {
+    fragments = null;
+    if (!wordSplitter || currentChunkSize > 1) return;
+
+    const token = inserted ? inserted.tokens[inserted.position] : tokens[currentIndex];
+    const pieces = token ? wordSplitter(token) : null;
+    if (!pieces || pieces.length < 2) return;
+
+    // Each fragment is timed as a word of its own, on the book's scale
+    const raw = currentTimingModel(pieces, { frequencySource: tokens });
+    fragments = { tokens: pieces, weights: raw.map((weight) => weight / weightMean), position: 0 };
+  }
+
+  /**
+   * Move on to the next fragment of a split word
+   * @returns {boolean} True if a fragment is next; false once the word is done
+   */
+  function advanceFragment() {
+    if (!fragments) return false;
+
+    fragments.position++;
+    if (fragments.position < fragments.tokens.length) return true;
+    fragments = null;
+    return false;
+  }
+
+  /**
+   * Skip an excluded range when advancing into or past its start
+   * Chunks end where a range starts (getChunk), so reading continues at the
+   * end of the first range the move reaches, and of any ranges right after it.
+   * Reading inside an excluded range (after jumping there) carries on normally.
+   * @param {number} from - Index being left
+   * @param {number} to - Index being advanced to
+   * @returns {number} Index to continue at (may be past the end)
+   */
+  function skipExcluded(from, to) {
+    const reached = skippedRanges
+      .filter((range) => from < range.start && range.start <= to)
+      .reduce((first, range) => (!first || range.start < first.start ? range : first), null);
+    if (!reached) return to;
+
+    let next = reached.end;
+    let adjacent;
+    while ((adjacent = skippedRanges.find((range) => range.start <= next && next < range.end))) {
+      next = adjacent.end;
+    }
+    return next;
+  }
+
+  /**
+   * Check whether an excluded range starts at an index
+   * @param {number} index - Token index
+   * @returns {boolean} True if the token is the first of an excluded range
+   */
+  function isExcludedStart(index) {
+    return skippedRanges.some((range) => range.start === index);
   }
 
   /**
@@ -58,36 +271,52 @@ export function createRsvpEngine({
    */
   function tick(timestamp) {
     if (!isPlaying) return;
+    animationFrameId = null; // set again below, or by play() if a word handler restarts playback
 
     if (lastFrameTime === 0) {
       lastFrameTime = timestamp;
     }
 
-    const deltaTime = timestamp - lastFrameTime;
+    const deltaTime = Math.min(timestamp - lastFrameTime, MAX_FRAME_GAP);
     lastFrameTime = timestamp;
     accumulatedTime += deltaTime;
-
-    const currentToken = tokens[currentIndex];
-    const msPerWord = getMsPerWord() + getSmartPauseDelay(currentToken);
-
-    if (accumulatedTime >= msPerWord) {
-      accumulatedTime -= msPerWord;
-
-      // Move to next word (or chunk)
-      currentIndex += currentChunkSize;
-
-      if (currentIndex >= tokens.length) {
-        // Reached the end
-        currentIndex = tokens.length - 1;
-        pause();
-        onEnd?.();
-        return;
+    warmupElapsed += deltaTime;
+    trainingElapsed += deltaTime;
+
+    // Words shorter than a frame (high rates, CJK characters, fragments) can
+    // fall due together. Each is still reported, so chapter starts and pauses
+    // happen, and the time left over carries into the next word, which keeps
+    // the average rate exact. MAX_FRAME_GAP bounds how much one frame catches up.
+    let duration = getDisplayDuration();
+
+    while (isPlaying && animationFrameId === null && accumulatedTime >= duration) {
+      accumulatedTime -= duration;
+      warmupWords += currentChunkSize;
+
+      if (!advanceFragment()) {
+        if (!advanceInsertion()) {
+          // Move to next word (or chunk)
+          currentIndex = skipExcluded(currentIndex, currentIndex + currentChunkSize);
+
+          if (currentIndex >= tokens.length) {
+            // Reached the end
+            currentIndex = tokens.length - 1;
+            pause();
+            onEnd?.();
+            return;
+          }
+        }
+        startFragments();
       }
 
-      // Display the new word
+      // Display the new word (the word handler may pause, e.g. at a chapter start)
       displayCurrentWord();
+      duration = getDisplayDuration();
     }
 
+    if (!isPlaying || animationFrameId !== null) return;
+
+    reportRate();
     animationFrameId = requestAnimationFrame(tick);
   }
 
@@ -99,6 +328,8 @@ export function createRsvpEngine({
   function getChunk(startIndex) {
     const chunk = [];
     for (let i = 0; i < currentChunkSize && startIndex + i < tokens.length; i++) {
+      // Excluded words never share a chunk with the words before them
+      if (i > 0 && isExcludedStart(startIndex + i)) break;
       chunk.push(tokens[startIndex + i]);
     }
     return chunk;
@@ -108,11 +339,21 @@ export function createRsvpEngine({
    * Display the current word/chunk
    */
   function displayCurrentWord() {
+    if (fragments) {
+      displayFragment();
+      return;
+    }
+
+    if (inserted) {
+      displayInsertedWord();
+      return;
+    }
+
     const token = tokens[currentIndex];
     if (token) {
       const chunk = getChunk(currentIndex);
       const prevToken = currentIndex > 0 ? tokens[currentIndex - 1] : null;
-      const nextIndex = currentIndex + currentChunkSize;
+      const nextIndex = skipExcluded(currentIndex, currentIndex + currentChunkSize);
       const nextToken = nextIndex < tokens.length ? tokens[nextIndex] : null;
 
       onWord?.({
@@ -127,6 +368,46 @@ export function createRsvpEngine({
     }
   }
 
+  /**
+   * Display the current chunk of inserted tokens
+   * The position in the book stays at the chunk they were inserted after.
+   */
+  function displayInsertedWord() {
+    const { tokens: extra, position } = inserted;
+    const nextIndex = currentIndex + currentChunkSize;
+
+    onWord?.({
+      token: extra[position],
+      chunk: extra.slice(position, position + currentChunkSize),
+      prevToken: tokens[currentIndex],
+      nextToken: nextIndex < tokens.length ? tokens[nextIndex] : null,
+      index: currentIndex,
+      chunkSize: currentChunkSize,
+      isInserted: true,
+    });
+    updateProgress();
+  }
+
+  /**
+   * Display the current fragment of a split word
+   */
+  function displayFragment() {
+    const fragment = fragments.tokens[fragments.position];
+    const nextIndex = currentIndex + currentChunkSize;
+
+    onWord?.({
+      token: fragment,
+      chunk: [fragment],
+      prevToken: inserted ? tokens[currentIndex] : tokens[currentIndex - 1] || null,
+      nextToken: nextIndex < tokens.length ? tokens[nextIndex] : null,
+      index: currentIndex,
+      chunkSize: currentChunkSize,
+      isInserted: !!inserted,
+      isFragment: true,
+    });
+    updateProgress();
+  }
+
   /**
    * Update progress
    */
@@ -152,8 +433,11 @@ export function createRsvpEngine({
     isPlaying = true;
     lastFrameTime = 0;
     accumulatedTime = 0;
+    warmupElapsed = 0;
+    warmupWords = 0;
 
     onStateChange?.(true);
+    reportRate();
     displayCurrentWord();
     animationFrameId = requestAnimationFrame(tick);
   }
@@ -171,6 +455,7 @@ export function createRsvpEngine({
     }
 
     onStateChange?.(false);
+    reportRate();
   }
 
   /**
@@ -184,15 +469,36 @@ export function createRsvpEngine({
     }
   }
 
+  /**
+   * Clamp a WPM value to the allowed range
+   * @param {number} value - WPM value
+   * @returns {number} Clamped WPM
+   */
+  function clampWpm(value) {
+    return Math.max(wpmRange.min, Math.min(wpmRange.max, value));
+  }
+
   /**
    * Set WPM (can be done while playing)
    * @param {number} newWpm - New WPM value
+   * @returns {number} WPM after clamping to the allowed range
    */
   function setWpm(newWpm) {
-    currentWpm = Math.max(300, Math.min(1000, newWpm));
+    currentWpm = clampWpm(newWpm);
     return currentWpm;
   }
 
+  /**
+   * Change the allowed WPM range, clamping the current WPM into it
+   * @param {number} min - Lowest WPM
+   * @param {number} max - Highest WPM
+   * @returns {number} Current WPM after clamping
+   */
+  function setWpmRange(min, max) {
+    wpmRange = { min, max };
+    return setWpm(currentWpm);
+  }
+
   /**
    * Get current WPM
    * @returns {number} Current WPM
@@ -201,12 +507,84 @@ export function createRsvpEngine({
     return currentWpm;
   }
 
+  /**
+   * Replace the warm-up settings (null disables warm-up)
+   * @param {Object|null} config - { unit: 'words'|'seconds', amount, startFactor }
+   */
+  function setWarmup(config) {
+    warmupConfig = config;
+  }
+
+  /**
+   * Replace the training mode settings (null disables training)
+   * @param {Object|null} config - { wpmPerMinute, ceilingWpm }
+   */
+  function setTraining(config) {
+    trainingConfig = config;
+  }
+
+  /**
+   * Estimate how long reading part of the book takes at the current rate
+   * Follows playback: word weights, warm-up and training count, and excluded
+   * ranges after the start are skipped. Notes and split fragments are left out.
+   * @param {number} from - First token index
+   * @param {number} to - Token index to stop before
+   * @returns {number} Duration in ms
+   */
+  function estimateReadingTime(from, to) {
+    const start = Math.max(0, from);
+    const end = Math.min(to, tokens.length);
+    if (end <= start) return 0;
+
+    let weight = weightTotals[end] - weightTotals[start];
+    skippedRanges.forEach((range) => {
+      const skipEnd = Math.min(range.end, end);
+      if (range.start > start && range.start < skipEnd) {
+        weight -= weightTotals[skipEnd] - weightTotals[range.start];
+      }
+    });
+
+    // Each chunk is shown for its average weight, so chunk words share the time
+    const wpm = isPlaying ? getEffectiveWpm() : getTargetWpm();
+    return ((60000 / wpm) * Math.max(0, weight)) / currentChunkSize;
+  }
+
+  /**
+   * Replace the ranges playback skips over
+   * @param {Array} ranges - Sorted token ranges ({ start, end })
+   */
+  function setExcludedRanges(ranges) {
+    skippedRanges = ranges;
+  }
+
+  /**
+   * Replace the timing model (can be done while playing)
+   * @param {Function} model - Timing model from timing.js
+   */
+  function setTimingModel(model) {
+    currentTimingModel = model;
+    weights = computeWeights(model);
+    weightTotals = sumWeights(weights);
+  }
+
+  /**
+   * Replace the long word splitter (null turns splitting off)
+   * The word on screen is shown again, split or whole.
+   * @param {Function|null} splitter - (token) => fragment tokens or null
+   */
+  function setWordSplitter(splitter) {
+    wordSplitter = splitter;
+    startFragments();
+    displayCurrentWord();
+  }
+
   /**
    * Set chunk size (can be done while playing)
    * @param {number} size - New chunk size (1-5)
    */
   function setChunkSize(size) {
     currentChunkSize = Math.max(1, Math.min(5, size));
+    startFragments();
     displayCurrentWord(); // Update display immediately
     return currentChunkSize;
   }
@@ -226,6 +604,8 @@ export function createRsvpEngine({
   function seekTo(index) {
     currentIndex = Math.max(0, Math.min(index, tokens.length - 1));
     accumulatedTime = 0;
+    inserted = null;
+    startFragments();
     displayCurrentWord();
   }
 
@@ -237,6 +617,14 @@ export function createRsvpEngine({
     return currentIndex;
   }
 
+  /**
+   * Check if inserted tokens (rather than the book) are being shown
+   * @returns {boolean} True while reading an insertion
+   */
+  function getIsInserting() {
+    return !!inserted;
+  }
+
   /**
    * Check if currently playing
    * @returns {boolean} Playing state
@@ -254,6 +642,7 @@ export function createRsvpEngine({
 
   // Display initial word
   if (tokens.length > 0) {
+    startFragments();
     displayCurrentWord();
   }
 
@@ -262,11 +651,20 @@ export function createRsvpEngine({
     pause,
     toggle,
     setWpm,
+    setWpmRange,
     getWpm,
     setChunkSize,
     getChunkSize,
+    setTimingModel,
+    setWordSplitter,
+    setWarmup,
+    setTraining,
+    setExcludedRanges,
+    getRateStatus,
+    estimateReadingTime,
     seekTo,
     getCurrentIndex,
+    getIsInserting,
     getIsPlaying,
     destroy,
   };
@@ -0,0 +1,118 @@
+/**
+ * Search Service
+ * Full-text search across chapter text, mapped back to token positions
+ */
+
+import { getGlobalIndex } from './tokenizer.js';
+import { findWordStarts } from './segmenter.js';
+
+const SNIPPET_CONTEXT = 40; // Characters of context on each side of a match
+const MAX_RESULTS = 500;
+
+/**
+ * Search all chapters for a query
+ * @param {Array} chapters - Chapter objects with text and wordCount
+ * @param {string} query - Text to find
+ * @param {Object} [options]
+ * @param {boolean} [options.caseSensitive=false] - Match letter case exactly
+ * @param {boolean} [options.wholeWord=false] - Only match whole words
+ * @returns {Array} Results in reading order ({ chapterIndex, chapterTitle, wordIndexInChapter, globalIndex, snippet })
+ */
+export function searchBook(chapters, query, { caseSensitive = false, wholeWord = false } = {}) {
+  const trimmed = query.trim();
+  if (!trimmed) return [];
+
+  const escaped = trimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  const source = wholeWord ? `(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])` : escaped;
+  const pattern = new RegExp(source, caseSensitive ? 'gu' : 'giu');
+
+  const results = [];
+
+  for (let chapterIndex = 0; chapterIndex < chapters.length; chapterIndex++) {
+    const chapter = chapters[chapterIndex];
+    const text = chapter.text;
+
+    // Word offsets are only worked out for chapters with a match
+    let wordStarts = null;
+
+    for (const match of text.matchAll(pattern)) {
+      if (!wordStarts) wordStarts = findWordStarts(text);
+
+      // A match that starts mid-word belongs to that word
+      const wordIndexInChapter = Math.max(0, countWordStarts(wordStarts, match.index) - 1);
+
+      results.push({
+        chapterIndex,
+        chapterTitle: chapter.title,
+        wordIndexInChapter,
+        globalIndex: getGlobalIndex(chapters, chapterIndex, wordIndexInChapter),
+        snippet: getSnippet(text, match.index, match[0].length),
+      });
+
+      if (results.length >= MAX_RESULTS) return results;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Group search results by chapter, keeping reading order
+ * @param {Array} results - Results from searchBook
+ * @returns {Array} Array of { chapterIndex, chapterTitle, results }
+ */
+export function groupResultsByChapter(results) {
+  const groups = [];
+  results.forEach((result, index) => {
+    let group = groups[groups.length - 1];
+    if (!group || group.chapterIndex !== result.chapterIndex) {
+      group = { chapterIndex: result.chapterIndex, chapterTitle: result.chapterTitle, results: [] };
+      groups.push(group);
+    }
+    group.results.push({ ...result, resultIndex: index });
+  });
+  return groups;
+}
+
+/**
+ * Count words that start at or before an offset
+ * @param {number[]} wordStarts - Sorted word start offsets of the chapter
+ * @param {number} offset - Offset in the chapter text
+ * @returns {number} Number of word starts
+ */
+function countWordStarts(wordStarts, offset) {
+  let low = 0;
+  let high = wordStarts.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (wordStarts[mid] <= offset) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Build a snippet around a match, cut at word boundaries
+ * @param {string} text - Chapter text
+ * @param {number} start - Match offset
+ * @param {number} length - Match length
+ * @returns {{before: string, match: string, after: string}} Snippet parts
+ */
+function getSnippet(text, start, length) {
+  const end = start + length;
+  let before = text.slice(Math.max(0, start - SNIPPET_CONTEXT), start);
+  let after = text.slice(end, end + SNIPPET_CONTEXT);
+
+  if (start > SNIPPET_CONTEXT) {
+    before = '…' + before.replace(/^\S*\s/, '');
+  }
+  if (end + SNIPPET_CONTEXT < text.length) {
+    after = after.replace(/\s\S*$/, '') + '…';
+  }
+
+  const collapse = (s) => s.replace(/\s+/g, ' ');
+  return { before: collapse(before), match: collapse(text.slice(start, end)), after: collapse(after) };
+}
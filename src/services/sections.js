@@ -0,0 +1,266 @@
+/**
+ * Sections Service
+ * Classifies chapters as front matter, body or back matter and works out
+ * which parts of the token stream count as content for a book
+ */
+
+/**
+ * Known section types
+ * matter: where the section belongs; skip: excluded from reading by default.
+ * Names follow the EPUB 3 structural semantics vocabulary where one exists.
+ * @type {Object<string, {matter: string, skip: boolean, label: string}>}
+ */
+export const SECTION_TYPES = {
+  cover: { matter: 'front', skip: true, label: 'Cover' },
+  halftitlepage: { matter: 'front', skip: true, label: 'Half title' },
+  titlepage: { matter: 'front', skip: true, label: 'Title page' },
+  seriespage: { matter: 'front', skip: true, label: 'Series page' },
+  'also-by': { matter: 'front', skip: true, label: 'Also by' },
+  praise: { matter: 'front', skip: true, label: 'Praise' },
+  'copyright-page': { matter: 'front', skip: true, label: 'Copyright' },
+  imprint: { matter: 'front', skip: true, label: 'Imprint' },
+  dedication: { matter: 'front', skip: true, label: 'Dedication' },
+  epigraph: { matter: 'front', skip: false, label: 'Epigraph' },
+  toc: { matter: 'front', skip: true, label: 'Contents' },
+  loi: { matter: 'front', skip: true, label: 'List of illustrations' },
+  lot: { matter: 'front', skip: true, label: 'List of tables' },
+  foreword: { matter: 'front', skip: false, label: 'Foreword' },
+  preface: { matter: 'front', skip: false, label: 'Preface' },
+  frontmatter: { matter: 'front', skip: false, label: 'Front matter' },
+  prologue: { matter: 'body', skip: false, label: 'Prologue' },
+  introduction: { matter: 'body', skip: false, label: 'Introduction' },
+  bodymatter: { matter: 'body', skip: false, label: 'Body' },
+  part: { matter: 'body', skip: false, label: 'Part' },
+  chapter: { matter: 'body', skip: false, label: 'Chapter' },
+  conclusion: { matter: 'body', skip: false, label: 'Conclusion' },
+  epilogue: { matter: 'body', skip: false, label: 'Epilogue' },
+  afterword: { matter: 'back', skip: false, label: 'Afterword' },
+  appendix: { matter: 'back', skip: false, label: 'Appendix' },
+  backmatter: { matter: 'back', skip: false, label: 'Back matter' },
+  acknowledgments: { matter: 'back', skip: true, label: 'Acknowledgments' },
+  endnotes: { matter: 'back', skip: true, label: 'Notes' },
+  glossary: { matter: 'back', skip: true, label: 'Glossary' },
+  bibliography: { matter: 'back', skip: true, label: 'Bibliography' },
+  index: { matter: 'back', skip: true, label: 'Index' },
+  'about-the-author': { matter: 'back', skip: true, label: 'About the author' },
+  contributors: { matter: 'back', skip: true, label: 'Contributors' },
+  credits: { matter: 'back', skip: true, label: 'Credits' },
+  colophon: { matter: 'back', skip: true, label: 'Colophon' },
+};
+
+// Other names for the same types (EPUB 2 guide types, older vocabulary)
+const TYPE_ALIASES = {
+  'title-page': 'titlepage',
+  acknowledgements: 'acknowledgments',
+  notes: 'endnotes',
+  footnotes: 'endnotes',
+  rearnotes: 'endnotes',
+  text: 'bodymatter',
+  'other-credits': 'credits',
+};
+
+// Types that say where a section is but not what it is - a title can refine them
+const GENERIC_TYPES = new Set(['frontmatter', 'bodymatter', 'backmatter', 'part', 'chapter']);
+
+// Title patterns for books without (useful) semantic markup, matched against
+// the lowercased title with punctuation removed
+const TITLE_PATTERNS = [
+  [/^cover( page| image)?$/, 'cover'],
+  [/^(half title|half title page)$/, 'halftitlepage'],
+  [/^title( page)?$/, 'titlepage'],
+  [/^(also by|other (books|titles|works) by|books by|by the same author)\b/, 'also-by'],
+  [/^(praise for|praise of|advance praise)\b/, 'praise'],
+  [/^copyright\b/, 'copyright-page'],
+  [/^dedication$/, 'dedication'],
+  [/^epigraph$/, 'epigraph'],
+  [/^(table of )?contents$/, 'toc'],
+  [/^list of (illustrations|figures|maps)$/, 'loi'],
+  [/^list of tables$/, 'lot'],
+  [/^foreword\b/, 'foreword'],
+  [/^preface\b/, 'preface'],
+  [/^prologue\b/, 'prologue'],
+  [/^introduction\b/, 'introduction'],
+  [/^epilogue\b/, 'epilogue'],
+  [/^(afterword|postscript)\b/, 'afterword'],
+  [/^appendi(x|ces)\b/, 'appendix'],
+  [/^acknowledge?ments?$/, 'acknowledgments'],
+  [/^(notes|endnotes|footnotes)$/, 'endnotes'],
+  [/^glossary\b/, 'glossary'],
+  [/^(bibliography|references|works cited|further reading|sources)$/, 'bibliography'],
+  [/^index\b/, 'index'],
+  [/^(about the (authors?|illustrators?|translators?|editors?)|meet the author)\b/, 'about-the-author'],
+  [/^(contributors|credits)$/, 'credits'],
+  [/^colophon$/, 'colophon'],
+];
+
+/**
+ * Normalize a section type name (or a space-separated epub:type value)
+ * Specific types win over generic ones like "frontmatter" or "chapter".
+ * @param {string|null} value - Type name(s)
+ * @returns {string|null} Known section type or null
+ */
+export function normalizeSectionType(value) {
+  if (!value) return null;
+
+  const types = value
+    .toLowerCase()
+    .split(/\s+/)
+    .map((name) => TYPE_ALIASES[name] || name)
+    .filter((name) => name in SECTION_TYPES);
+
+  return types.find((type) => !GENERIC_TYPES.has(type)) || types[0] || null;
+}
+
+/**
+ * Guess a section type from a chapter title
+ * @param {string} title - Chapter title
+ * @returns {string|null} Section type or null if the title doesn't say
+ */
+export function getSectionTypeFromTitle(title) {
+  const normalized = (title || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!normalized) return null;
+
+  const match = TITLE_PATTERNS.find(([pattern]) => pattern.test(normalized));
+  return match ? match[1] : null;
+}
+
+/**
+ * Classify chapters in place, setting sectionType and matter
+ * Semantic types from the parser (chapter.sectionType) win over title
+ * heuristics unless they are generic. Unclassified chapters before the
+ * first marked body section count as front matter.
+ * @param {Array} chapters - Chapter objects with title and optional sectionType
+ * @returns {Array} The same chapters
+ */
+export function classifyChapters(chapters) {
+  chapters.forEach((chapter) => {
+    const marked = normalizeSectionType(chapter.sectionType);
+    const fromTitle = getSectionTypeFromTitle(chapter.title);
+    chapter.sectionType = marked && !GENERIC_TYPES.has(marked) ? marked : fromTitle || marked;
+  });
+
+  const bodyStart = chapters.findIndex((chapter) => chapter.sectionType === 'bodymatter');
+
+  chapters.forEach((chapter, index) => {
+    if (!chapter.sectionType && index < bodyStart) {
+      chapter.sectionType = 'frontmatter';
+    }
+    chapter.matter = SECTION_TYPES[chapter.sectionType]?.matter || 'body';
+  });
+
+  return chapters;
+}
+
+/**
+ * Get a display label for a chapter's section type
+ * Plain body chapters have no label.
+ * @param {Object} chapter - Classified chapter
+ * @returns {string|null} Label or null
+ */
+export function getSectionLabel(chapter) {
+  const type = SECTION_TYPES[chapter.sectionType];
+  if (!type || type.matter === 'body') return null;
+  return type.label;
+}
+
+/**
+ * Get the chapters excluded when the user hasn't chosen any
+ * Nothing is excluded if that would leave no content at all.
+ * @param {Array} chapters - Classified chapters
+ * @returns {string[]} Chapter IDs
+ */
+export function getDefaultExcludedIds(chapters) {
+  const excluded = chapters.filter((chapter) => SECTION_TYPES[chapter.sectionType]?.skip);
+  if (excluded.length === chapters.length) return [];
+  return excluded.map((chapter) => chapter.id);
+}
+
+/**
+ * Create a reading scope: which tokens count as content for a book
+ * @param {Array} tokens - All tokens
+ * @param {Array} chapters - Chapter objects with id and wordCount
+ * @param {string[]} excludedIds - IDs of excluded chapters
+ * @returns {Object} Scope interface
+ */
+export function createReadingScope(tokens, chapters, excludedIds) {
+  const excludedSet = new Set(excludedIds);
+  const excludedRanges = [];
+  const chapterStarts = [];
+  let includedWords = 0;
+  let start = 0;
+
+  chapters.forEach((chapter, index) => {
+    chapterStarts.push(start);
+    const end = start + chapter.wordCount;
+
+    if (excludedSet.has(chapter.id)) {
+      // Merge neighbouring excluded chapters into one range
+      const last = excludedRanges[excludedRanges.length - 1];
+      if (last && last.end === start) {
+        last.end = end;
+      } else if (end > start) {
+        excludedRanges.push({ start, end, chapterIndex: index });
+      }
+    } else {
+      includedWords += chapter.wordCount;
+    }
+    start = end;
+  });
+
+  /**
+   * Check whether a chapter is excluded
+   * @param {number} chapterIndex - Chapter index
+   * @returns {boolean} True if excluded
+   */
+  function isExcluded(chapterIndex) {
+    return excludedSet.has(chapters[chapterIndex]?.id);
+  }
+
+  /**
+   * Count included words before a token index
+   * @param {number} index - Token index
+   * @returns {number} Included words before it
+   */
+  function getIncludedWordsBefore(index) {
+    let excludedBefore = 0;
+    for (const range of excludedRanges) {
+      if (range.start >= index) break;
+      excludedBefore += Math.min(range.end, index) - range.start;
+    }
+    return index - excludedBefore;
+  }
+
+  /**
+   * Get reading progress over the included content
+   * @param {number} index - Current token index
+   * @returns {number} Percentage (0-100)
+   */
+  function getProgress(index) {
+    if (includedWords === 0) {
+      return tokens.length > 0 ? (index / tokens.length) * 100 : 0;
+    }
+    return Math.min(100, (getIncludedWordsBefore(index) / includedWords) * 100);
+  }
+
+  /**
+   * Get the index of the first included token
+   * @returns {number} Token index (0 if everything is excluded)
+   */
+  function getFirstIncludedIndex() {
+    const first = chapters.findIndex((chapter, index) => !isExcluded(index) && chapter.wordCount > 0);
+    return first === -1 ? 0 : chapterStarts[first];
+  }
+
+  return {
+    excludedRanges,
+    includedWords,
+    isExcluded,
+    getIncludedWordsBefore,
+    getProgress,
+    getFirstIncludedIndex,
+  };
+}
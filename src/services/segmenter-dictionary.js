@@ -0,0 +1,47 @@
+/**
+ * Segmentation Dictionary
+ * Common words used to segment Chinese, Japanese and Thai text in browsers
+ * without Intl.Segmenter. Longest match wins, so the list only needs the
+ * frequent multi-character words; unknown text still splits sensibly.
+ */
+
+const CHINESE = `
+我们 你们 他们 她们 它们 自己 什么 怎么 怎样 为什么 这个 那个 这些 那些 这里 那里 这样 那样 哪里 哪个
+一个 一些 一样 一起 一直 一定 一下 已经 还是 还有 可以 可能 应该 需要 知道 觉得 认为 喜欢 希望 开始
+没有 不是 不会 不要 不能 就是 只是 但是 可是 因为 所以 如果 虽然 然后 而且 或者 并且 因此 于是 不过
+现在 今天 明天 昨天 时候 时间 以后 以前 之后 之前 后来 最后 马上 刚才 已经 常常 经常 总是 有时 终于
+非常 特别 比较 更加 真的 其实 当然 也许 大概 一般 还是 突然 慢慢 立刻 仍然 几乎 确实 完全 十分
+中国 北京 上海 世界 国家 社会 政府 人民 城市 地方 学校 学生 老师 朋友 孩子 父亲 母亲 先生 女士 大家
+东西 事情 问题 办法 方法 情况 工作 生活 学习 文化 历史 经济 发展 关系 意思 声音 眼睛 心里 身体 名字
+看见 看到 听到 听说 告诉 回来 回去 出来 出去 起来 进来 过来 下来 上来 离开 回答 准备 决定 发现 感到
+说话 吃饭 睡觉 走路 电话 电脑 手机 汽车 飞机 房间 门口 外面 里面 前面 后面 上面 下面 旁边 中间
+美丽 漂亮 高兴 快乐 重要 简单 容易 困难 清楚 安静 干净 危险 奇怪 有名 认真 努力 成功 失败 方便
+`;
+
+const JAPANESE = `
+です でした ます ました ません ましょう である だった ない なかった ている ていた てください
+これ それ あれ どれ この その あの どの ここ そこ あそこ どこ こちら そちら あちら どちら
+わたし あなた かれ かのじょ みんな だれ なに なん いつ どう どうして なぜ いくら
+そして しかし でも だから それから けれども けれど ところが また まだ もう すぐ とても
+ちょっと すこし たくさん いつも よく ときどき やはり やっぱり きっと たぶん もちろん ほんとう
+から まで より ので のに けど ながら ばかり だけ しか など について として によって
+する した して される させる いる いた いて ある あった あって なる なった なって
+言う 言った 思う 思った 見る 見た 来る 来た 行く 行った 聞く 聞いた 分かる 分かった 知る 知らない
+私 僕 彼 彼女 自分 今日 明日 昨日 今 時間 人 日本 日本語 東京 学校 先生 学生 友達 家族 子供
+名前 言葉 仕事 世界 本当 気持ち 一緒 大丈夫 大切 好き 嫌い 上手 下手 元気 静か 有名 簡単
+`;
+
+const THAI = `
+ผม ฉัน ดิฉัน เรา คุณ เขา เธอ มัน พวกเขา พวกเรา ตัวเอง ใคร อะไร ที่ไหน เมื่อไร ทำไม อย่างไร เท่าไร
+นี้ นั้น โน้น ที่ ซึ่ง อัน ของ และ หรือ แต่ เพราะ ถ้า เมื่อ จึง ก็ กับ ให้ ใน บน ใต้ จาก ถึง ไป มา
+เป็น อยู่ คือ มี ได้ ไม่ ไม่ได้ จะ กำลัง แล้ว เคย ต้อง ควร อยาก สามารถ อาจ คง ยัง เลย ด้วย อีก
+กิน ข้าว น้ำ ดื่ม นอน ตื่น เดิน วิ่ง พูด บอก ถาม ตอบ ฟัง ดู เห็น อ่าน เขียน เรียน สอน ทำ งาน ทำงาน
+ชอบ รัก เกลียด รู้ รู้จัก คิด เข้าใจ ลืม จำ หา ซื้อ ขาย ให้ เอา ใช้ เปิด ปิด ช่วย รอ เริ่ม จบ
+บ้าน โรงเรียน โรงพยาบาล ร้าน ตลาด ถนน เมือง ประเทศ ประเทศไทย ไทย ภาษา ภาษาไทย คน เด็ก ผู้ใหญ่
+พ่อ แม่ พี่ น้อง เพื่อน ครู นักเรียน หมอ วัน คืน เช้า เย็น ปี เดือน สัปดาห์ เวลา วันนี้ พรุ่งนี้ เมื่อวาน
+ดี ไม่ดี สวย ใหญ่ เล็ก มาก น้อย ร้อน หนาว ใหม่ เก่า สูง ต่ำ ยาว สั้น เร็ว ช้า ง่าย ยาก สนุก
+ผัด แกง ต้ม ไก่ หมู ปลา กุ้ง ผัก ผลไม้ อาหาร ขอบคุณ สวัสดี ครับ ค่ะ คะ นะ จ้ะ
+`;
+
+/** All dictionary words */
+export const DICTIONARY_WORDS = [CHINESE, JAPANESE, THAI].flatMap((list) => list.split(/\s+/).filter(Boolean));
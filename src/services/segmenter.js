@@ -0,0 +1,252 @@
+/**
+ * Segmentation Service
+ * Splits text into words, including scripts written without spaces between
+ * words (Chinese, Japanese, Thai, Lao, Khmer, Burmese). Runs of those
+ * scripts go through Intl.Segmenter where the browser has it, and through
+ * longest-match lookup in a small bundled dictionary where it doesn't.
+ *
+ * Pieces always concatenate back to the original text (punctuation is
+ * attached to a neighbouring word), so block text never changes and word
+ * indices agree everywhere words are counted.
+ */
+
+import { DICTIONARY_WORDS } from './segmenter-dictionary.js';
+
+const NO_SPACE_SCRIPT =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+const CJK_CHARACTER = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu;
+const KANA = /[\p{Script=Hiragana}\p{Script=Katakana}]/u;
+const HIRAGANA_ONLY = /^\p{Script=Hiragana}+$/u;
+const ENDS_WITH_KANJI_OR_KATAKANA = /[\p{Script=Han}\p{Script=Katakana}]$/u;
+const OPENING_PUNCTUATION = /^[\p{Ps}\p{Pi}]+$/u;
+
+// Script of a no-space run -> locale for Intl.Segmenter
+const SCRIPT_LOCALES = [
+  [/\p{Script=Thai}/u, 'th'],
+  [/\p{Script=Lao}/u, 'lo'],
+  [/\p{Script=Khmer}/u, 'km'],
+  [/\p{Script=Myanmar}/u, 'my'],
+];
+
+const dictionary = new Set(DICTIONARY_WORDS);
+const longestDictionaryWord = Math.max(...DICTIONARY_WORDS.map((word) => Array.from(word).length));
+const segmenters = new Map();
+
+/**
+ * Check whether text contains a script written without word spaces
+ * @param {string} text - Text to check
+ * @returns {boolean} True if some of it needs segmenting
+ */
+export function needsSegmentation(text) {
+  return NO_SPACE_SCRIPT.test(text);
+}
+
+/**
+ * Split text into words
+ * @param {string} text - Text to split
+ * @returns {string[]} Words, in order
+ */
+export function splitWords(text) {
+  return findWords(text).map(({ word }) => word);
+}
+
+/**
+ * Count the words in text
+ * @param {string} text - Text to count
+ * @returns {number} Number of words
+ */
+export function countWords(text) {
+  return findWords(text).length;
+}
+
+/**
+ * Find the offset of every word in text
+ * @param {string} text - Text to split
+ * @returns {number[]} Start offsets, in order
+ */
+export function findWordStarts(text) {
+  return findWords(text).map(({ start }) => start);
+}
+
+/**
+ * Count the Chinese and Japanese characters in a word
+ * These scripts are timed per character rather than per word.
+ * @param {string} word - The word
+ * @returns {number} Number of Han, Hiragana and Katakana characters
+ */
+export function countCjkCharacters(word) {
+  return (word.match(CJK_CHARACTER) || []).length;
+}
+
+/**
+ * Split text into words with their offsets
+ * Whitespace separates words; runs without spaces are segmented further.
+ * @param {string} text - Text to split
+ * @returns {Array} Array of { word, start }
+ */
+function findWords(text) {
+  const words = [];
+
+  for (const match of text.matchAll(/\S+/g)) {
+    let start = match.index;
+    for (const word of segmentRun(match[0])) {
+      words.push({ word, start });
+      start += word.length;
+    }
+  }
+
+  return words;
+}
+
+/**
+ * Segment a whitespace-free run of text into words
+ * @param {string} run - Text without whitespace
+ * @returns {string[]} Words that concatenate back to the run
+ */
+function segmentRun(run) {
+  if (!needsSegmentation(run)) return [run];
+
+  const locale = getRunLocale(run);
+  const segments = getSegmenter(locale)?.(run) || segmentWithDictionary(run);
+  const words = attachPunctuation(segments);
+
+  return locale === 'ja' ? mergeOkurigana(words) : words;
+}
+
+/**
+ * Pick the Intl.Segmenter locale for a run from its script
+ * @param {string} run - Text to segment
+ * @returns {string} Locale code
+ */
+function getRunLocale(run) {
+  const match = SCRIPT_LOCALES.find(([pattern]) => pattern.test(run));
+  if (match) return match[1];
+  return KANA.test(run) ? 'ja' : 'zh';
+}
+
+/**
+ * Get an Intl.Segmenter based segmentation function for a locale
+ * @param {string} locale - Locale code
+ * @returns {Function|null} (text) => Array of { segment, isWordLike }, or null if unsupported
+ */
+function getSegmenter(locale) {
+  if (typeof Intl === 'undefined' || !Intl.Segmenter) return null;
+
+  if (!segmenters.has(locale)) {
+    const segmenter = new Intl.Segmenter(locale, { granularity: 'word' });
+    segmenters.set(locale, (text) =>
+      Array.from(segmenter.segment(text), ({ segment, isWordLike }) => ({ segment, isWordLike }))
+    );
+  }
+  return segmenters.get(locale);
+}
+
+/**
+ * Segment a run by longest match against the bundled dictionary
+ * Unknown Han characters become words of their own; other unknown letters
+ * are grouped until a dictionary word starts.
+ * @param {string} run - Text without whitespace
+ * @returns {Array} Array of { segment, isWordLike }
+ */
+function segmentWithDictionary(run) {
+  const chars = Array.from(run);
+  const segments = [];
+  let i = 0;
+
+  const matchAt = (position) => {
+    for (let length = Math.min(longestDictionaryWord, chars.length - position); length > 0; length--) {
+      const candidate = chars.slice(position, position + length).join('');
+      if (dictionary.has(candidate)) return candidate;
+    }
+    return null;
+  };
+
+  while (i < chars.length) {
+    const char = chars[i];
+
+    // Punctuation and symbols, one at a time
+    if (!/[\p{L}\p{M}\p{N}]/u.test(char)) {
+      segments.push({ segment: char, isWordLike: false });
+      i++;
+      continue;
+    }
+
+    const match = NO_SPACE_SCRIPT.test(char) ? matchAt(i) : null;
+    if (match) {
+      segments.push({ segment: match, isWordLike: true });
+      i += Array.from(match).length;
+      continue;
+    }
+
+    // Unknown text: a single Han character, or letters up to the next known word
+    let end = i + 1;
+    if (!/\p{Script=Han}/u.test(char)) {
+      const sameKind = (c) =>
+        NO_SPACE_SCRIPT.test(c) === NO_SPACE_SCRIPT.test(char) && /[\p{L}\p{M}\p{N}]/u.test(c);
+      while (end < chars.length && sameKind(chars[end]) && !/\p{Script=Han}/u.test(chars[end]) && !matchAt(end)) {
+        end++;
+      }
+    }
+    segments.push({ segment: chars.slice(i, end).join(''), isWordLike: true });
+    i = end;
+  }
+
+  return segments;
+}
+
+/**
+ * Attach punctuation segments to a neighbouring word
+ * Opening brackets and quotes go with the word after them, everything else
+ * with the word before.
+ * @param {Array} segments - Array of { segment, isWordLike }
+ * @returns {string[]} Words
+ */
+function attachPunctuation(segments) {
+  const words = [];
+  let pending = '';
+
+  segments.forEach(({ segment, isWordLike }) => {
+    if (isWordLike) {
+      words.push(pending + segment);
+      pending = '';
+    } else if (OPENING_PUNCTUATION.test(segment) || words.length === 0) {
+      pending += segment;
+    } else {
+      words[words.length - 1] += segment;
+    }
+  });
+
+  if (pending) {
+    if (words.length > 0) {
+      words[words.length - 1] += pending;
+    } else {
+      words.push(pending);
+    }
+  }
+
+  return words;
+}
+
+/**
+ * Join Japanese particles and inflections to the word before them
+ * "猫", "で" and "言", "っ" read better as "猫で" and "言っ" than as
+ * flashes of a single kana. Only one kana word joins each kanji or
+ * katakana word, so sentences don't run together.
+ * @param {string[]} words - Segmented words
+ * @returns {string[]} Words with kana endings attached
+ */
+function mergeOkurigana(words) {
+  const merged = [];
+
+  words.forEach((word) => {
+    const previous = merged[merged.length - 1];
+    const core = word.replace(/[^\p{L}]+$/u, '');
+    if (previous && HIRAGANA_ONLY.test(core) && ENDS_WITH_KANJI_OR_KATAKANA.test(previous)) {
+      merged[merged.length - 1] = previous + word;
+    } else {
+      merged.push(word);
+    }
+  });
+
+  return merged;
+}
@@ -0,0 +1,128 @@
+/**
+ * Sentence Boundary Service
+ * Decides which words end a sentence, so abbreviations ("Dr.", "e.g."),
+ * initials, ordinals and ellipses inside a sentence don't count as ends.
+ * The result drives both the engine's sentence pauses and sentence navigation.
+ */
+
+import { getPrimaryLanguage } from './language.js';
+
+// Abbreviations that don't end a sentence when another word follows,
+// lowercase and without their final period
+const COMMON_ABBREVIATIONS = ['e.g', 'i.e', 'cf', 'vs', 'viz', 'ca', 'et al', 'ibid', 'op', 'op cit'];
+
+const ABBREVIATIONS = {
+  en: [
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'mt', 'ft', 'sr', 'jr', 'rev', 'hon', 'gen', 'col', 'capt',
+    'lt', 'sgt', 'maj', 'cpl', 'gov', 'pres', 'sen', 'rep', 'fr', 'no', 'nos', 'vol', 'vols', 'fig',
+    'figs', 'p', 'pp', 'ch', 'chap', 'sec', 'art', 'ed', 'eds', 'approx', 'dept', 'est', 'inc', 'ltd',
+    'co', 'corp', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+  ],
+  de: [
+    'hr', 'hrn', 'fr', 'frl', 'dr', 'prof', 'st', 'nr', 'bzw', 'bspw', 'ca', 'usw', 'etc', 'vgl', 'z.b', 'd.h',
+    'u.a', 'o.ä', 's', 'z', 'evtl', 'ggf', 'inkl', 'exkl', 'allg', 'bzgl', 'geb', 'gest', 'jh', 'jhd',
+    'mio', 'mrd', 'abs', 'bd', 'hrsg', 'ff', 'u', 'v', 'sog', 'str',
+  ],
+  fr: [
+    'm', 'mm', 'mme', 'mmes', 'mlle', 'mlles', 'dr', 'pr', 'st', 'ste', 'me', 'mgr', 'cf', 'p', 'pp',
+    'vol', 'chap', 'n', 'no', 'env', 'etc', 'av', 'apr', 'j.-c', 'boul', 'bd',
+  ],
+  es: [
+    'sr', 'sra', 'sres', 'srta', 'dr', 'dra', 'd', 'dña', 'ud', 'uds', 'prof', 'pág', 'págs', 'núm',
+    'vol', 'cap', 'etc', 'aprox', 'ej', 'p.ej', 'av', 'avda', 'sto', 'sta', 'ee.uu',
+  ],
+  it: [
+    'sig', 'sigg', 'sig.ra', 'sig.na', 'dott', 'dott.ssa', 'prof', 'prof.ssa', 'avv', 'ing', 'on',
+    'pag', 'pagg', 'cap', 'vol', 'n', 'ecc', 'es', 'ca', 's', 'ss',
+  ],
+  pt: [
+    'sr', 'sra', 'srs', 'sras', 'dr', 'dra', 'prof', 'profa', 'd', 'pág', 'págs', 'n', 'nº', 'vol',
+    'cap', 'etc', 'ex', 'av', 'aprox', 'sto', 'sta',
+  ],
+  nl: [
+    'dhr', 'mevr', 'mw', 'dr', 'drs', 'ir', 'prof', 'mr', 'st', 'nr', 'blz', 'bijv', 'bv', 'd.w.z',
+    'enz', 'o.a', 'm.a.w', 'ca', 'jl', 'resp', 'vnl',
+  ],
+  pl: [
+    'dr', 'prof', 'mgr', 'inż', 'hab', 'św', 'ks', 'np', 'tzw', 'tj', 'itd', 'itp', 'm.in', 'ok',
+    'r', 'w', 'ul', 'nr', 'str', 'tel', 'godz', 'wg', 'zob', 'por', 'pt', 'ds', 'im', 'gen', 'płk',
+  ],
+};
+
+// Languages that write ordinal numbers with a period ("am 3. Mai")
+const ORDINAL_PERIOD_LANGUAGES = new Set([
+  'de', 'da', 'nb', 'nn', 'no', 'fi', 'is', 'et', 'lv', 'lt', 'pl', 'cs', 'sk', 'sl', 'hr', 'sr', 'bs',
+  'hu', 'tr',
+]);
+
+const TERMINAL_PUNCTUATION = /(?:[.!?‽…。！？]|\.\.\.)$/u;
+const CLOSING_PUNCTUATION = /["'”’»›)\]}」』）〉》]+$/u;
+const OPENING_PUNCTUATION = /^["'“‘«‹([{「『（〈《]+/u;
+
+const detectors = new Map();
+
+/**
+ * Get the sentence boundary detector for a language (cached per language)
+ * @param {string|null} [language] - Language code from the book metadata
+ * @returns {Function} (words, index) => boolean - whether words[index] ends a sentence
+ */
+export function getSentenceDetector(language) {
+  const primary = getPrimaryLanguage(language);
+  if (!detectors.has(primary)) {
+    detectors.set(primary, createSentenceDetector(primary));
+  }
+  return detectors.get(primary);
+}
+
+/**
+ * Mark the words of one block (paragraph) that end a sentence
+ * @param {string[]} words - Words of the block, in order
+ * @param {string|null} [language] - Language code from the book metadata
+ * @returns {boolean[]} One flag per word
+ */
+export function findSentenceEnds(words, language) {
+  const isSentenceEnd = getSentenceDetector(language);
+  return words.map((_, index) => isSentenceEnd(words, index));
+}
+
+/**
+ * Build a detector for a primary language code
+ * @param {string} primary - Primary language subtag (may be '')
+ * @returns {Function} (words, index) => boolean
+ */
+function createSentenceDetector(primary) {
+  const abbreviations = new Set([...COMMON_ABBREVIATIONS, ...(ABBREVIATIONS[primary] || ABBREVIATIONS.en)]);
+  const ordinalPeriods = ORDINAL_PERIOD_LANGUAGES.has(primary);
+
+  return function isSentenceEnd(words, index) {
+    const core = words[index].replace(CLOSING_PUNCTUATION, '');
+    if (!TERMINAL_PUNCTUATION.test(core)) return false;
+
+    // Terminal punctuation on the last word of a block always closes the sentence
+    const next = words[index + 1];
+    if (next === undefined) return true;
+
+    // A sentence doesn't go on in lowercase ("etc. and", "Hey!" she said)
+    const nextStart = next.replace(OPENING_PUNCTUATION, '');
+    if (/^\p{Ll}/u.test(nextStart)) return false;
+
+    // ! ? and ellipses before a capital (or a non-letter) end the sentence
+    if (!core.endsWith('.') || core.endsWith('..')) return true;
+
+    const stem = core.slice(0, -1).replace(OPENING_PUNCTUATION, '');
+    const lower = stem.toLowerCase();
+
+    // "Dr. Watson", "e.g. Paris", "No. 5"
+    if (abbreviations.has(lower)) return false;
+    if (index > 0 && abbreviations.has(`${words[index - 1].toLowerCase()} ${lower}`)) return false;
+
+    // Initials ("J. R. R. Tolkien") and dotted acronyms ("U.S.", "Ph.D.")
+    if (/^\p{L}$/u.test(stem)) return false;
+    if (/^(\p{L}{1,2}\.)+\p{L}{1,2}$/u.test(stem)) return false;
+
+    // Numbered list items ("1. Introduction") and ordinals ("am 3. Mai")
+    if (/^\d{1,3}$/.test(stem) && (index === 0 || (ordinalPeriods && stem.length <= 2))) return false;
+
+    return true;
+  };
+}
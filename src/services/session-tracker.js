@@ -0,0 +1,107 @@
+/**
+ * Session Tracker Service
+ * Tracks words read and reading time for the current reading session
+ */
+
+const MIN_RATE_TIME = 5000; // ms of reading before an effective WPM is shown
+
+let session = null;
+
+/**
+ * Start a new reading session (replaces any current session)
+ * @param {string|null} bookId - The book being read (null for unsaved text)
+ * @param {string} [bookTitle] - Title kept with the history record
+ */
+export function startSession(bookId, bookTitle = '') {
+  const startedAt = Date.now();
+  session = {
+    id: `${startedAt.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    bookId,
+    bookTitle,
+    startedAt,
+    lastActiveAt: startedAt,
+    wordsRead: 0,
+    activeMs: 0,
+    activeSince: null,
+    lastIndex: null,
+    pauseCount: 0,
+  };
+}
+
+/**
+ * Start or stop the session clock
+ * The clock runs while playing, including chapter interstitials.
+ * @param {boolean} active - True while reading
+ * @param {Object} [options]
+ * @param {boolean} [options.countPause=true] - Count stopping as a pause (false for chapter breaks)
+ */
+export function setSessionActive(active, { countPause = true } = {}) {
+  if (!session) return;
+
+  if (active && session.activeSince === null) {
+    session.activeSince = Date.now();
+  } else if (!active && session.activeSince !== null) {
+    session.activeMs += Date.now() - session.activeSince;
+    session.activeSince = null;
+    session.lastActiveAt = Date.now();
+    if (countPause) session.pauseCount++;
+  }
+}
+
+/**
+ * Record the current reading position
+ * Forward steps of at most maxStep words while the clock runs count as read;
+ * seeks and jumps do not.
+ * @param {number} index - Current word index
+ * @param {number} maxStep - Largest step that counts as reading (the chunk size)
+ */
+export function recordPosition(index, maxStep) {
+  if (!session) return;
+
+  if (session.activeSince !== null && session.lastIndex !== null) {
+    const delta = index - session.lastIndex;
+    if (delta > 0 && delta <= maxStep) {
+      session.wordsRead += delta;
+    }
+  }
+  session.lastIndex = index;
+}
+
+/**
+ * Get statistics for the current session
+ * @returns {Object|null} { bookId, startedAt, wordsRead, elapsedMs, effectiveWpm } or null
+ */
+export function getSessionStats() {
+  if (!session) return null;
+
+  const elapsedMs = session.activeMs + (session.activeSince !== null ? Date.now() - session.activeSince : 0);
+
+  return {
+    bookId: session.bookId,
+    startedAt: session.startedAt,
+    wordsRead: session.wordsRead,
+    elapsedMs,
+    effectiveWpm: elapsedMs >= MIN_RATE_TIME ? Math.round(session.wordsRead / (elapsedMs / 60000)) : null,
+  };
+}
+
+/**
+ * Build the history record for the current session
+ * @returns {Object|null} Session record, or null if nothing was read yet
+ */
+export function getSessionRecord() {
+  const stats = getSessionStats();
+  if (!stats || stats.wordsRead === 0) return null;
+
+  return {
+    id: session.id,
+    bookId: session.bookId,
+    bookTitle: session.bookTitle,
+    startedAt: session.startedAt,
+    endedAt: session.activeSince !== null ? Date.now() : session.lastActiveAt,
+    wordsRead: stats.wordsRead,
+    durationMs: stats.elapsedMs,
+    averageWpm: stats.elapsedMs > 0 ? Math.round(stats.wordsRead / (stats.elapsedMs / 60000)) : 0,
+    pauseCount: session.pauseCount,
+  };
+}
@@ -1,83 +1,346 @@
 /**
  * Storage Service
- * Manages localStorage persistence for book data and user preferences
+ * Manages localStorage persistence for the book library, per-book reading
+ * positions, excluded sections and user preferences
  */
 
+import { DEFAULT_TIMING_WEIGHTS } from './timing.js';
+
 const STORAGE_KEYS = {
+  LIBRARY: 'rsvp_library',
+  READING_POSITIONS: 'rsvp_reading_positions',
+  BOOKMARKS: 'rsvp_bookmarks',
+  EXCLUDED_SECTIONS: 'rsvp_excluded_sections',
+  CURRENT_BOOK: 'rsvp_current_book',
+  PREFERENCES: 'rsvp_preferences',
+};
+
+// Single-book keys written before the library existed (read once for migration)
+const LEGACY_KEYS = {
   BOOK_DATA: 'rsvp_book_data',
   READING_POSITION: 'rsvp_reading_position',
-  PREFERENCES: 'rsvp_preferences',
 };
 
+// Outer limits for the configurable WPM range
+export const WPM_LIMITS = { min: 50, max: 2000, minStep: 5, maxStep: 200 };
+
+/**
+ * Read and parse a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when the key is missing or unreadable
+ * @returns {*} Parsed value or fallback
+ */
+function readJson(key, fallback) {
+  try {
+    const data = localStorage.getItem(key);
+    return data ? JSON.parse(data) : fallback;
+  } catch (e) {
+    console.warn(`Failed to read ${key}:`, e);
+    return fallback;
+  }
+}
+
+/**
+ * Serialize and write a JSON value to localStorage
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @returns {boolean} True if the value was written
+ */
+function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (e) {
+    console.warn(`Failed to write ${key}:`, e);
+    return false;
+  }
+}
+
 /**
- * Save book metadata (without the full content) for resume functionality
+ * Save book metadata (without the full content) in the library
+ * The cover itself is stored in IndexedDB (saveCover); the library only
+ * records whether there is one.
+ * @param {string} bookId - Content hash identifying the book
  * @param {Object} bookData - The parsed book data
  * @param {File} file - The original file (for reference)
+ * @param {Object} [options]
+ * @param {string} [options.source='file'] - 'paste' for pasted text, whose title isn't in the file
  */
-export function saveBookReference(bookData, file) {
-  const reference = {
+export function saveBookReference(bookId, bookData, file, { source = 'file' } = {}) {
+  const library = readJson(STORAGE_KEYS.LIBRARY, {});
+  const existing = library[bookId];
+
+  library[bookId] = {
+    id: bookId,
     fileName: file.name,
     fileSize: file.size,
     title: bookData.metadata.title,
     author: bookData.metadata.author,
     totalWords: bookData.totalWords,
     chapterCount: bookData.chapters.length,
-    coverUrl: bookData.metadata.coverUrl,
+    hasCover: !!bookData.metadata.coverUrl,
+    source,
+    addedAt: existing?.addedAt || Date.now(),
     savedAt: Date.now(),
   };
 
+  writeJson(STORAGE_KEYS.LIBRARY, library);
+}
+
+/**
+ * Get a saved book reference
+ * @param {string} bookId - Book ID
+ * @returns {Object|null} The saved book reference or null
+ */
+export function getBookReference(bookId) {
+  if (!bookId) return null;
+  const library = readJson(STORAGE_KEYS.LIBRARY, {});
+  return library[bookId] || null;
+}
+
+/**
+ * Get all books in the library, most recently opened first
+ * @returns {Object[]} Array of book references
+ */
+export function getLibrary() {
+  const library = readJson(STORAGE_KEYS.LIBRARY, {});
+  return Object.values(library).sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Get the covers still stored inside library entries
+ * Books added before covers moved to IndexedDB kept them as data URLs here.
+ * @returns {Array} Array of { bookId, coverUrl }
+ */
+export function getInlineCovers() {
+  const library = readJson(STORAGE_KEYS.LIBRARY, {});
+  return Object.values(library)
+    .filter((reference) => reference.coverUrl)
+    .map((reference) => ({ bookId: reference.id, coverUrl: reference.coverUrl }));
+}
+
+/**
+ * Record that a book's cover is stored in IndexedDB
+ * Drops the inline cover of entries from before covers moved there.
+ * @param {string} bookId - Book ID
+ */
+export function markCoverStored(bookId) {
+  const library = readJson(STORAGE_KEYS.LIBRARY, {});
+  const reference = library[bookId];
+  if (!reference) return;
+
+  delete reference.coverUrl;
+  reference.hasCover = true;
+  writeJson(STORAGE_KEYS.LIBRARY, library);
+}
+
+/**
+ * Remove a book and its reading position from the library
+ * @param {string} bookId - Book ID
+ */
+export function removeBookReference(bookId) {
+  const library = readJson(STORAGE_KEYS.LIBRARY, {});
+  delete library[bookId];
+  writeJson(STORAGE_KEYS.LIBRARY, library);
+
+  clearReadingPosition(bookId);
+  clearBookmarks(bookId);
+  clearExcludedSections(bookId);
+
+  if (getCurrentBookId() === bookId) {
+    setCurrentBookId(null);
+  }
+}
+
+/**
+ * Remember which book was opened last
+ * @param {string|null} bookId - Book ID, or null to forget
+ */
+export function setCurrentBookId(bookId) {
   try {
-    localStorage.setItem(STORAGE_KEYS.BOOK_DATA, JSON.stringify(reference));
+    if (bookId) {
+      localStorage.setItem(STORAGE_KEYS.CURRENT_BOOK, bookId);
+    } else {
+      localStorage.removeItem(STORAGE_KEYS.CURRENT_BOOK);
+    }
   } catch (e) {
-    console.warn('Failed to save book reference:', e);
+    console.warn('Failed to save current book:', e);
   }
 }
 
 /**
- * Get saved book reference
- * @returns {Object|null} The saved book reference or null
+ * Get the ID of the book that was opened last
+ * @returns {string|null} Book ID or null
  */
-export function getBookReference() {
+export function getCurrentBookId() {
   try {
-    const data = localStorage.getItem(STORAGE_KEYS.BOOK_DATA);
-    return data ? JSON.parse(data) : null;
+    return localStorage.getItem(STORAGE_KEYS.CURRENT_BOOK);
   } catch (e) {
-    console.warn('Failed to read book reference:', e);
+    console.warn('Failed to read current book:', e);
     return null;
   }
 }
 
 /**
- * Save current reading position
+ * Save current reading position for a book
+ * @param {string} bookId - Book ID
  * @param {number} wordIndex - Global word index
  * @param {number} chapterIndex - Current chapter index
+ * @param {number} [progress] - Percent read of the included content, if known
  */
-export function saveReadingPosition(wordIndex, chapterIndex) {
-  const position = {
+export function saveReadingPosition(bookId, wordIndex, chapterIndex, progress) {
+  if (!bookId) return;
+
+  const positions = readJson(STORAGE_KEYS.READING_POSITIONS, {});
+  positions[bookId] = {
     wordIndex,
     chapterIndex,
     savedAt: Date.now(),
   };
-
-  try {
-    localStorage.setItem(STORAGE_KEYS.READING_POSITION, JSON.stringify(position));
-  } catch (e) {
-    console.warn('Failed to save reading position:', e);
+  if (Number.isFinite(progress)) {
+    positions[bookId].progress = progress;
   }
+
+  writeJson(STORAGE_KEYS.READING_POSITIONS, positions);
 }
 
 /**
- * Get saved reading position
+ * Get saved reading position for a book
+ * @param {string} bookId - Book ID
  * @returns {Object|null} The saved position or null
  */
-export function getReadingPosition() {
-  try {
-    const data = localStorage.getItem(STORAGE_KEYS.READING_POSITION);
-    return data ? JSON.parse(data) : null;
-  } catch (e) {
-    console.warn('Failed to read reading position:', e);
-    return null;
+export function getReadingPosition(bookId) {
+  if (!bookId) return null;
+  const positions = readJson(STORAGE_KEYS.READING_POSITIONS, {});
+  return positions[bookId] || null;
+}
+
+/**
+ * Clear the reading position of a book (used when starting fresh)
+ * @param {string} bookId - Book ID
+ */
+export function clearReadingPosition(bookId) {
+  const positions = readJson(STORAGE_KEYS.READING_POSITIONS, {});
+  if (!(bookId in positions)) return;
+
+  delete positions[bookId];
+  writeJson(STORAGE_KEYS.READING_POSITIONS, positions);
+}
+
+/**
+ * Get the chapters the user excluded from reading in a book
+ * @param {string} bookId - Book ID
+ * @returns {string[]|null} Chapter IDs, or null if the user never chose
+ */
+export function getExcludedSections(bookId) {
+  if (!bookId) return null;
+  const excluded = readJson(STORAGE_KEYS.EXCLUDED_SECTIONS, {});
+  return Array.isArray(excluded[bookId]) ? excluded[bookId] : null;
+}
+
+/**
+ * Save the chapters excluded from reading in a book
+ * @param {string} bookId - Book ID
+ * @param {string[]} chapterIds - Chapter IDs
+ */
+export function saveExcludedSections(bookId, chapterIds) {
+  if (!bookId) return;
+
+  const excluded = readJson(STORAGE_KEYS.EXCLUDED_SECTIONS, {});
+  excluded[bookId] = chapterIds;
+  writeJson(STORAGE_KEYS.EXCLUDED_SECTIONS, excluded);
+}
+
+/**
+ * Forget the excluded chapters of a book (back to the defaults)
+ * @param {string} bookId - Book ID
+ */
+export function clearExcludedSections(bookId) {
+  const excluded = readJson(STORAGE_KEYS.EXCLUDED_SECTIONS, {});
+  if (!(bookId in excluded)) return;
+
+  delete excluded[bookId];
+  writeJson(STORAGE_KEYS.EXCLUDED_SECTIONS, excluded);
+}
+
+/**
+ * Get all bookmarks of a book, in reading order
+ * @param {string} bookId - Book ID
+ * @returns {Object[]} Array of { id, wordIndex, chapterIndex, label, snippet, createdAt }
+ */
+export function getBookmarks(bookId) {
+  if (!bookId) return [];
+  const bookmarks = readJson(STORAGE_KEYS.BOOKMARKS, {});
+  return (bookmarks[bookId] || []).slice().sort((a, b) => a.wordIndex - b.wordIndex);
+}
+
+/**
+ * Add a bookmark to a book
+ * @param {string} bookId - Book ID
+ * @param {Object} bookmark - { wordIndex, chapterIndex, label, snippet }
+ * @returns {Object|null} The stored bookmark (with id) or null if it couldn't be saved
+ */
+export function addBookmark(bookId, bookmark) {
+  if (!bookId) return null;
+
+  const bookmarks = readJson(STORAGE_KEYS.BOOKMARKS, {});
+  const stored = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    wordIndex: bookmark.wordIndex,
+    chapterIndex: bookmark.chapterIndex,
+    label: bookmark.label,
+    snippet: bookmark.snippet,
+    createdAt: Date.now(),
+  };
+
+  bookmarks[bookId] = [...(bookmarks[bookId] || []), stored];
+  return writeJson(STORAGE_KEYS.BOOKMARKS, bookmarks) ? stored : null;
+}
+
+/**
+ * Update a bookmark (e.g. rename it)
+ * @param {string} bookId - Book ID
+ * @param {string} bookmarkId - Bookmark ID
+ * @param {Object} changes - Fields to update
+ */
+export function updateBookmark(bookId, bookmarkId, changes) {
+  const bookmarks = readJson(STORAGE_KEYS.BOOKMARKS, {});
+  const list = bookmarks[bookId];
+  if (!list) return;
+
+  bookmarks[bookId] = list.map((bookmark) =>
+    bookmark.id === bookmarkId ? { ...bookmark, ...changes, id: bookmark.id } : bookmark
+  );
+  writeJson(STORAGE_KEYS.BOOKMARKS, bookmarks);
+}
+
+/**
+ * Delete a bookmark
+ * @param {string} bookId - Book ID
+ * @param {string} bookmarkId - Bookmark ID
+ */
+export function removeBookmark(bookId, bookmarkId) {
+  const bookmarks = readJson(STORAGE_KEYS.BOOKMARKS, {});
+  const list = bookmarks[bookId];
+  if (!list) return;
+
+  bookmarks[bookId] = list.filter((bookmark) => bookmark.id !== bookmarkId);
+  if (bookmarks[bookId].length === 0) {
+    delete bookmarks[bookId];
   }
+  writeJson(STORAGE_KEYS.BOOKMARKS, bookmarks);
+}
+
+/**
+ * Delete all bookmarks of a book
+ * @param {string} bookId - Book ID
+ */
+export function clearBookmarks(bookId) {
+  const bookmarks = readJson(STORAGE_KEYS.BOOKMARKS, {});
+  if (!(bookId in bookmarks)) return;
+
+  delete bookmarks[bookId];
+  writeJson(STORAGE_KEYS.BOOKMARKS, bookmarks);
 }
 
 /**
@@ -87,7 +350,7 @@ export function getReadingPosition() {
 export function savePreferences(prefs) {
   try {
     const existing = getPreferences();
-    const merged = { ...existing, ...prefs };
+    const merged = normalizePreferences({ ...existing, ...prefs });
     localStorage.setItem(STORAGE_KEYS.PREFERENCES, JSON.stringify(merged));
   } catch (e) {
     console.warn('Failed to save preferences:', e);
@@ -95,25 +358,55 @@ export function savePreferences(prefs) {
 }
 
 /**
- * Get user preferences
- * @returns {Object} Preferences object with defaults
+ * Get the default preferences
+ * @returns {Object} A fresh preferences object with every default value
  */
-export function getPreferences() {
-  const defaults = {
+export function getDefaultPreferences() {
+  return {
     wpm: 300,
+    wpmMin: 300, // range the speed controls move within
+    wpmMax: 1000,
+    wpmStep: 25, // change per arrow key / toolbar press
     chunkSize: 1,
     theme: 'dark',
     showPeripheralPreview: false,
+    peripheralWordCount: 1, // words shown on each side of the current word
     showStatisticsHud: true,
     pauseBetweenChapters: false,
+    readNotesInline: false, // read footnotes right after the sentence that refers to them
+    doubleTapJump: 'words', // 'words' (25), 'sentence' or 'paragraph'
+    showContextPanel: false, // paragraph around the current word while paused
+    splitLongWords: false, // show very long words as hyphenated fragments
+    splitWordLength: 13, // characters - longer words are split
     fontSize: 3, // rem units
     fontFamily: 'literata', // font ID from READING_FONTS
+    timingModel: 'weighted', // 'weighted' or 'uniform' (see timing.js)
+    timingWeights: { ...DEFAULT_TIMING_WEIGHTS },
+    warmupEnabled: false, // ramp up to the target WPM after play
+    warmupUnit: 'words', // 'words' or 'seconds'
+    warmupAmount: 20,
+    warmupStartPercent: 60, // starting rate as a percentage of the target
+    trainingEnabled: false, // slowly raise WPM over a session
+    trainingWpmPerMinute: 10,
+    trainingCeilingWpm: 800,
   };
+}
+
+/**
+ * Get user preferences
+ * @returns {Object} Preferences object with defaults
+ */
+export function getPreferences() {
+  const defaults = getDefaultPreferences();
 
   try {
     const data = localStorage.getItem(STORAGE_KEYS.PREFERENCES);
     const saved = data ? JSON.parse(data) : {};
-    return { ...defaults, ...saved };
+    return normalizePreferences({
+      ...defaults,
+      ...saved,
+      timingWeights: { ...defaults.timingWeights, ...saved.timingWeights },
+    });
   } catch (e) {
     console.warn('Failed to read preferences:', e);
     return defaults;
@@ -121,26 +414,56 @@ export function getPreferences() {
 }
 
 /**
- * Clear all book-related data (used when loading a new book)
+ * Validate the numeric preferences that can be typed in
+ * Speed values are rounded and clamped to WPM_LIMITS, a reversed range is
+ * swapped and the WPM and training ceiling are kept inside the range. Unreadable values fall back
+ * to the defaults.
+ * @param {Object} prefs - Preferences object
+ * @returns {Object} Preferences with valid speed, warm-up, training and timing values
  */
-export function clearBookData() {
-  try {
-    localStorage.removeItem(STORAGE_KEYS.BOOK_DATA);
-    localStorage.removeItem(STORAGE_KEYS.READING_POSITION);
-  } catch (e) {
-    console.warn('Failed to clear book data:', e);
+function normalizePreferences(prefs) {
+  const toInteger = (value, fallback) => {
+    const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+    return value !== null && Number.isFinite(number) ? Math.round(number) : fallback;
+  };
+  const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+  let wpmMin = clamp(toInteger(prefs.wpmMin, 300), WPM_LIMITS.min, WPM_LIMITS.max);
+  let wpmMax = clamp(toInteger(prefs.wpmMax, 1000), WPM_LIMITS.min, WPM_LIMITS.max);
+  if (wpmMin > wpmMax) {
+    [wpmMin, wpmMax] = [wpmMax, wpmMin];
   }
+
+  return {
+    ...prefs,
+    wpm: clamp(toInteger(prefs.wpm, 300), wpmMin, wpmMax),
+    wpmMin,
+    wpmMax,
+    wpmStep: clamp(toInteger(prefs.wpmStep, 25), WPM_LIMITS.minStep, WPM_LIMITS.maxStep),
+    splitWordLength: clamp(toInteger(prefs.splitWordLength, 13), 8, 40),
+    warmupAmount: clamp(toInteger(prefs.warmupAmount, 20), 1, 600),
+    warmupStartPercent: clamp(toInteger(prefs.warmupStartPercent, 60), 10, 100),
+    trainingWpmPerMinute: clamp(toInteger(prefs.trainingWpmPerMinute, 10), 1, 200),
+    trainingCeilingWpm: clamp(toInteger(prefs.trainingCeilingWpm, 800), wpmMin, wpmMax),
+    timingWeights: normalizeTimingWeights(prefs.timingWeights),
+  };
 }
 
 /**
- * Clear just the reading position (used when starting fresh)
+ * Validate the adaptive timing weights
+ * Each weight is a number from 0 to 5 with two decimals; unreadable values
+ * fall back to the default.
+ * @param {Object} [weights] - Timing weights
+ * @returns {Object} A complete set of timing weights
  */
-export function clearReadingPosition() {
-  try {
-    localStorage.removeItem(STORAGE_KEYS.READING_POSITION);
-  } catch (e) {
-    console.warn('Failed to clear reading position:', e);
-  }
+function normalizeTimingWeights(weights) {
+  const normalized = {};
+  Object.entries(DEFAULT_TIMING_WEIGHTS).forEach(([key, fallback]) => {
+    const raw = weights?.[key];
+    const value = raw === null || raw === undefined || raw === '' ? NaN : Number(raw);
+    normalized[key] = Number.isFinite(value) ? Math.round(Math.max(0, Math.min(5, value)) * 100) / 100 : fallback;
+  });
+  return normalized;
 }
 
 /**
@@ -148,7 +471,7 @@ export function clearReadingPosition() {
  */
 export function clearAllData() {
   try {
-    Object.values(STORAGE_KEYS).forEach((key) => {
+    [...Object.values(STORAGE_KEYS), ...Object.values(LEGACY_KEYS)].forEach((key) => {
       localStorage.removeItem(key);
     });
   } catch (e) {
@@ -157,13 +480,132 @@ export function clearAllData() {
 }
 
 /**
- * Check if we have a saved book that matches the given file
- * @param {File} file - The file to check
- * @returns {boolean} True if the file matches saved book
+ * Get everything kept in localStorage, for exporting
+ * @returns {Object} { preferences, library, positions, bookmarks, excludedSections, currentBookId }
+ */
+export function getStoredData() {
+  return {
+    preferences: getPreferences(),
+    library: readJson(STORAGE_KEYS.LIBRARY, {}),
+    positions: readJson(STORAGE_KEYS.READING_POSITIONS, {}),
+    bookmarks: readJson(STORAGE_KEYS.BOOKMARKS, {}),
+    excludedSections: readJson(STORAGE_KEYS.EXCLUDED_SECTIONS, {}),
+    currentBookId: getCurrentBookId(),
+  };
+}
+
+/**
+ * Write imported localStorage data
+ * Merging keeps the newer library entry and position of each book, adds
+ * bookmarks that aren't there yet and keeps the section choices and settings
+ * already made here; replacing starts from empty storage and takes the
+ * exported settings.
+ * @param {Object} data - { preferences, library, positions, bookmarks, excludedSections, currentBookId }
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Discard the current data first
+ * @returns {Object} What was imported:
+ *   { books, positions, bookmarks, preferences, preferencesKept }
  */
-export function isMatchingSavedBook(file) {
-  const saved = getBookReference();
-  if (!saved) return false;
+export function importStoredData(data, { replace = false } = {}) {
+  if (replace) {
+    clearAllData();
+  }
+
+  const newer = (current, incoming) => !current || (incoming.savedAt || 0) > (current.savedAt || 0);
+  const counts = { books: 0, positions: 0, bookmarks: 0, preferences: false, preferencesKept: false };
+
+  const library = readJson(STORAGE_KEYS.LIBRARY, {});
+  Object.entries(data.library).forEach(([bookId, reference]) => {
+    if (newer(library[bookId], reference)) {
+      library[bookId] = { ...reference, id: bookId };
+      counts.books++;
+    }
+  });
+  writeJson(STORAGE_KEYS.LIBRARY, library);
+
+  const positions = readJson(STORAGE_KEYS.READING_POSITIONS, {});
+  Object.entries(data.positions).forEach(([bookId, position]) => {
+    if (newer(positions[bookId], position)) {
+      positions[bookId] = position;
+      counts.positions++;
+    }
+  });
+  writeJson(STORAGE_KEYS.READING_POSITIONS, positions);
+
+  const bookmarks = readJson(STORAGE_KEYS.BOOKMARKS, {});
+  Object.entries(data.bookmarks).forEach(([bookId, list]) => {
+    const existing = bookmarks[bookId] || [];
+    const ids = new Set(existing.map((bookmark) => bookmark.id));
+    const added = list.filter((bookmark) => !ids.has(bookmark.id));
+    if (added.length > 0) {
+      bookmarks[bookId] = [...existing, ...added];
+      counts.bookmarks += added.length;
+    }
+  });
+  writeJson(STORAGE_KEYS.BOOKMARKS, bookmarks);
+
+  const excludedSections = readJson(STORAGE_KEYS.EXCLUDED_SECTIONS, {});
+  Object.entries(data.excludedSections || {}).forEach(([bookId, chapterIds]) => {
+    if (!(bookId in excludedSections)) {
+      excludedSections[bookId] = chapterIds;
+    }
+  });
+  writeJson(STORAGE_KEYS.EXCLUDED_SECTIONS, excludedSections);
+
+  if (data.preferences && replace) {
+    savePreferences(data.preferences);
+    counts.preferences = true;
+  } else if (data.preferences) {
+    counts.preferencesKept = true;
+  }
 
-  return saved.fileName === file.name && saved.fileSize === file.size;
+  if (data.currentBookId && (replace || !getCurrentBookId())) {
+    setCurrentBookId(data.currentBookId);
+  }
+
+  return counts;
+}
+
+/**
+ * Check if the pre-library single-book record is still present
+ * @returns {boolean} True if legacy data needs migrating
+ */
+export function hasLegacyBookData() {
+  try {
+    return localStorage.getItem(LEGACY_KEYS.BOOK_DATA) !== null;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Move the pre-library single-book record and its position into the library
+ * @param {string|null} bookId - Content hash of the legacy book, or null if
+ *   its file is gone (the legacy record is then discarded)
+ */
+export function migrateLegacyBookData(bookId) {
+  const reference = readJson(LEGACY_KEYS.BOOK_DATA, null);
+  const position = readJson(LEGACY_KEYS.READING_POSITION, null);
+
+  if (bookId && reference && !getBookReference(bookId)) {
+    const library = readJson(STORAGE_KEYS.LIBRARY, {});
+    library[bookId] = {
+      ...reference,
+      id: bookId,
+      addedAt: reference.savedAt || Date.now(),
+    };
+    writeJson(STORAGE_KEYS.LIBRARY, library);
+
+    if (position) {
+      saveReadingPosition(bookId, position.wordIndex, position.chapterIndex);
+    }
+    setCurrentBookId(bookId);
+  }
+
+  try {
+    localStorage.removeItem(LEGACY_KEYS.BOOK_DATA);
+    localStorage.removeItem(LEGACY_KEYS.READING_POSITION);
+  } catch (e) {
+    console.warn('Failed to clear legacy book data:', e);
+  }
 }
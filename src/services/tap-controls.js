@@ -3,8 +3,9 @@
  *
  * Implements YouTube-style tap controls for the RSVP reader:
  * - Single tap center: play/pause
- * - Double tap left: skip back 25 words
- * - Double tap right: skip forward 25 words
+ * - Double tap left: skip back (25 words, or a sentence or paragraph - the
+ *   callbacks decide)
+ * - Double tap right: skip forward
  *
  * Also handles visual feedback (play/pause/back/forward icons)
  */
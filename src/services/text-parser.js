@@ -0,0 +1,409 @@
+/**
+ * Text Parser Service
+ * Extracts chapters and metadata from plain text, Markdown and HTML files
+ */
+
+import { extractBlocks, createTextBlock, blocksToText, joinParagraphs, getNoteText } from './html-text.js';
+import { countWords } from './segmenter.js';
+
+const NUMBER_WORDS =
+  '(one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|' +
+  'sixteen|seventeen|eighteen|nineteen|twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety)' +
+  '(-(one|two|three|four|five|six|seven|eight|nine))?';
+
+// Lines that open a chapter in plain text (when preceded by a blank line)
+// e.g. "CHAPTER X", "Chapter 12: The Return", "Part Two", "Epilogue"
+const PLAIN_TEXT_HEADING_PATTERNS = [
+  new RegExp(`^(chapter|part|book|section)\\s+([0-9]+|[ivxlcdm]+|${NUMBER_WORDS})([.:\\-—–]\\s*.*)?$`, 'i'),
+  /^(prologue|epilogue|preface|foreword|introduction|afterword|appendix)([.:\-—–]\s*.*)?$/i,
+];
+
+const MAX_PLAIN_TEXT_HEADING_LENGTH = 80;
+
+// **bold**, __bold__, *italic* and _italic_ (underscores not inside snake_case)
+const MARKDOWN_EMPHASIS_PATTERN = /(\*\*|__)(.+?)\1|\*(.+?)\*|(?<!\w)_(.+?)_(?!\w)/g;
+
+/**
+ * Parse a plain text file
+ * @param {File} file - The .txt file
+ * @returns {Promise<Object>} Parsed book data
+ */
+export async function parsePlainText(file) {
+  const text = await file.text();
+  const title = getTitleFromFileName(file.name);
+  const chapters = splitPlainTextChapters(text, title);
+
+  return buildBookData({ title }, chapters);
+}
+
+/**
+ * Parse a Markdown file - h1 to h3 headings become chapters
+ * @param {File} file - The .md file
+ * @returns {Promise<Object>} Parsed book data
+ */
+export async function parseMarkdown(file) {
+  const markdown = await file.text();
+  const fallbackTitle = getTitleFromFileName(file.name);
+  const chapters = [];
+  let current = { title: null, depth: 0, lines: [] };
+  let inFence = false;
+
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+
+  const startChapter = (title, depth) => {
+    chapters.push(current);
+    current = { title, depth, lines: [] };
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Headings inside fenced code blocks are not headings
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) {
+      current.lines.push(line);
+      continue;
+    }
+
+    // ATX headings: # Title, ## Title, ### Title
+    const atx = line.match(/^\s{0,3}(#{1,3})\s+(.+?)\s*#*\s*$/);
+    if (atx) {
+      startChapter(stripInlineMarkdown(atx[2]), atx[1].length - 1);
+      continue;
+    }
+
+    // Setext headings: Title followed by === or ---
+    const next = lines[i + 1];
+    if (line.trim() && next !== undefined && /^\s{0,3}(=+|-+)\s*$/.test(next) && !isListItem(line)) {
+      startChapter(stripInlineMarkdown(line.trim()), next.trim().startsWith('=') ? 0 : 1);
+      i++;
+      continue;
+    }
+
+    current.lines.push(line);
+  }
+  chapters.push(current);
+
+  const built = chapters
+    .map((chapter, index) => {
+      const blocks = markdownToBlocks(chapter.lines);
+      return { id: `md-${index}`, title: chapter.title, depth: chapter.depth, text: blocksToText(blocks), blocks };
+    })
+    .filter((chapter) => chapter.text);
+
+  const title = chapters.find((chapter) => chapter.title)?.title || fallbackTitle;
+
+  return buildBookData({ title }, finalizeChapters(built, title));
+}
+
+/**
+ * Parse a standalone HTML file - h1 to h3 headings become chapters
+ * @param {File} file - The .html file
+ * @returns {Promise<Object>} Parsed book data
+ */
+export async function parseHtml(file) {
+  const html = await file.text();
+  const parser = new DOMParser();
+  const doc = parser.parseFromString(html, 'text/html');
+
+  const metaAuthor = doc.querySelector('meta[name="author"]')?.getAttribute('content')?.trim();
+  const title =
+    doc.querySelector('title')?.textContent?.trim() ||
+    doc.querySelector('h1')?.textContent?.trim() ||
+    getTitleFromFileName(file.name);
+
+  // Remove non-content elements
+  doc.querySelectorAll('script, style, nav, aside, header, footer, noscript').forEach((el) => el.remove());
+
+  const body = doc.body || doc.documentElement;
+
+  // Each h1-h3 starts a section that runs until the next one
+  const sections = [
+    { title: null, depth: 0, startEl: null },
+    ...Array.from(body.querySelectorAll('h1, h2, h3')).map((heading) => ({
+      title: heading.textContent.replace(/\s+/g, ' ').trim(),
+      depth: Number(heading.tagName[1]) - 1,
+      startEl: heading,
+    })),
+  ];
+
+  // Heading text is the chapter title, not body text
+  const skip = (node) => !!node.parentElement?.closest('h1, h2, h3');
+
+  // Notes are looked up in an untouched copy - footnotes often sit in the removed asides
+  let sourceDoc = null;
+  const resolveNote = (href, refId) => {
+    if (!href?.startsWith('#')) return null;
+    if (!sourceDoc) {
+      sourceDoc = parser.parseFromString(html, 'text/html');
+    }
+    const target = sourceDoc.getElementById(decodeURIComponent(href.slice(1)));
+    return target ? getNoteText(target, refId) : null;
+  };
+
+  const built = sections
+    .map((section, index) => {
+      const blocks = extractBlocks(body, {
+        startEl: section.startEl,
+        endEl: sections[index + 1]?.startEl || null,
+        skip,
+        resolveNote,
+      });
+      return { id: `html-${index}`, title: section.title, depth: section.depth, text: blocksToText(blocks), blocks };
+    })
+    .filter((chapter) => chapter.text);
+
+  return buildBookData(
+    {
+      title,
+      author: metaAuthor,
+      language: doc.documentElement.getAttribute('lang'),
+      direction: doc.documentElement.getAttribute('dir') || doc.body?.getAttribute('dir'),
+    },
+    finalizeChapters(built, title)
+  );
+}
+
+/**
+ * Split plain text into chapters on heading lines such as "CHAPTER X"
+ * A heading must follow a blank line (or the start of the text).
+ * @param {string} text - The full text
+ * @param {string} fallbackTitle - Title used when no headings are found
+ * @returns {Array} Array of chapter objects
+ */
+export function splitPlainTextChapters(text, fallbackTitle) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const chapters = [];
+  let current = { title: null, lines: [] };
+  let previousBlank = true;
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+
+    if (previousBlank && isPlainTextHeading(trimmed)) {
+      chapters.push(current);
+      current = { title: trimmed.replace(/\s+/g, ' '), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+
+    previousBlank = trimmed.length === 0;
+  }
+  chapters.push(current);
+
+  const built = chapters
+    .map((chapter, index) => ({
+      id: `text-${index}`,
+      title: chapter.title,
+      text: linesToParagraphs(chapter.lines),
+    }))
+    .filter((chapter) => chapter.text);
+
+  return finalizeChapters(built, fallbackTitle);
+}
+
+/**
+ * Check if a line looks like a plain text chapter heading
+ * @param {string} line - Trimmed line
+ * @returns {boolean} True if the line is a heading
+ */
+function isPlainTextHeading(line) {
+  if (!line || line.length > MAX_PLAIN_TEXT_HEADING_LENGTH) return false;
+  return PLAIN_TEXT_HEADING_PATTERNS.some((pattern) => pattern.test(line));
+}
+
+/**
+ * Check if a Markdown line is a list item (so "- item" above "---" isn't a heading)
+ * @param {string} line - The line
+ * @returns {boolean} True if the line is a list item
+ */
+function isListItem(line) {
+  return /^\s*([-*+]|\d+[.)])\s+/.test(line);
+}
+
+/**
+ * Group lines into paragraphs separated by blank lines
+ * @param {string[]} lines - Text lines
+ * @returns {string} Text with "\n\n" between paragraphs
+ */
+function linesToParagraphs(lines) {
+  const paragraphs = [''];
+  lines.forEach((line) => {
+    if (line.trim()) {
+      paragraphs[paragraphs.length - 1] += line + ' ';
+    } else {
+      paragraphs.push('');
+    }
+  });
+  return joinParagraphs(paragraphs);
+}
+
+/**
+ * Convert Markdown body lines to text blocks
+ * Blank lines, list items, lower-level headings, blockquotes and table rows
+ * start new blocks.
+ * @param {string[]} lines - Markdown lines
+ * @returns {Array} Array of blocks ({ type, text, emphasized })
+ */
+function markdownToBlocks(lines) {
+  const paragraphs = [{ type: 'paragraph', segments: [] }];
+
+  const startParagraph = (type) => {
+    paragraphs.push({ type, segments: [] });
+  };
+
+  lines.forEach((line) => {
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line) || !line.trim()) {
+      // Horizontal rules and blank lines end the paragraph
+      startParagraph('paragraph');
+      return;
+    }
+    if (/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line)) {
+      return; // table separators
+    }
+
+    const current = paragraphs[paragraphs.length - 1];
+    if (isListItem(line)) {
+      startParagraph('listItem');
+    } else if (/^\s{0,3}#{4,6}\s+/.test(line)) {
+      startParagraph('heading');
+    } else if (/^\s{0,3}>/.test(line)) {
+      if (current.type !== 'blockquote') startParagraph('blockquote');
+    } else if (/^\s*\|/.test(line)) {
+      startParagraph('paragraph');
+    }
+
+    const stripped = line
+      .replace(/^\s{0,3}>\s?/, '') // blockquotes
+      .replace(/^\s*([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/, '') // list markers and task boxes
+      .replace(/^\s{0,3}#{4,6}\s+/, '') // lower-level headings stay in the text
+      .replace(/\|/g, ' '); // table cells
+
+    const paragraph = paragraphs[paragraphs.length - 1];
+    paragraph.segments.push(...parseInlineMarkdown(stripped), { text: ' ', emphasized: false });
+
+    // Headings are a single line
+    if (paragraph.type === 'heading') {
+      startParagraph('paragraph');
+    }
+  });
+
+  return paragraphs
+    .map((paragraph) => createTextBlock(paragraph.segments, paragraph.type))
+    .filter(Boolean);
+}
+
+/**
+ * Split a line of Markdown into plain and emphasized segments
+ * @param {string} text - Markdown text
+ * @returns {Array} Array of { text, emphasized }
+ */
+function parseInlineMarkdown(text) {
+  const plain = stripInlineLinks(text);
+  const segments = [];
+  let last = 0;
+
+  for (const match of plain.matchAll(MARKDOWN_EMPHASIS_PATTERN)) {
+    segments.push({ text: plain.slice(last, match.index), emphasized: false });
+    segments.push({ text: match[2] ?? match[3] ?? match[4], emphasized: true });
+    last = match.index + match[0].length;
+  }
+  segments.push({ text: plain.slice(last), emphasized: false });
+
+  // Clean up leftover markers (nested or unbalanced emphasis)
+  return segments.map((segment) => ({ ...segment, text: stripEmphasis(segment.text) }));
+}
+
+/**
+ * Remove inline Markdown syntax, keeping the visible text
+ * @param {string} text - Markdown text
+ * @returns {string} Plain text
+ */
+function stripInlineMarkdown(text) {
+  return stripEmphasis(stripInlineLinks(text)).trim();
+}
+
+/**
+ * Remove links, images, inline HTML and code spans, keeping the visible text
+ * @param {string} text - Markdown text
+ * @returns {string} Text that may still contain emphasis markers
+ */
+function stripInlineLinks(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // images -> alt text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // links -> link text
+    .replace(/\[([^\]]*)\]\[[^\]]*\]/g, '$1') // reference links
+    .replace(/<[^>]+>/g, '') // inline HTML
+    .replace(/`([^`]*)`/g, '$1'); // inline code
+}
+
+/**
+ * Remove emphasis and strikethrough markers
+ * @param {string} text - Markdown text
+ * @returns {string} Text without emphasis markers
+ */
+function stripEmphasis(text) {
+  return text
+    .replace(/\*\*(.+?)\*\*/g, '$1') // bold
+    .replace(/\*(.+?)\*/g, '$1') // italics
+    .replace(/(^|\W)__?(.+?)__?(?!\w)/g, '$1$2') // underscore emphasis (not snake_case)
+    .replace(/~~(.+?)~~/g, '$1'); // strikethrough
+}
+
+/**
+ * Fill in missing chapter titles and word counts, and make the shallowest
+ * heading level depth 0
+ * @param {Array} chapters - Chapters with id, title (may be null), optional depth and text
+ * @param {string} fallbackTitle - Title for an untitled leading section
+ * @returns {Array} Array of chapter objects
+ */
+function finalizeChapters(chapters, fallbackTitle) {
+  const headingDepths = chapters.filter((c) => c.title && c.depth !== undefined).map((c) => c.depth);
+  const topDepth = headingDepths.length > 0 ? Math.min(...headingDepths) : 0;
+
+  return chapters.map((chapter, index) => ({
+    ...chapter,
+    title: chapter.title || (index === 0 ? fallbackTitle : `Part ${index + 1}`),
+    depth: Math.max(0, (chapter.depth || 0) - topDepth),
+    wordCount: countWords(chapter.text),
+  }));
+}
+
+/**
+ * Build the parsed book data object shared with the EPUB parser
+ * @param {Object} metadata - Partial metadata (title, author, language, direction)
+ * @param {Array} chapters - Array of chapter objects
+ * @returns {Object} Parsed book data
+ */
+function buildBookData(metadata, chapters) {
+  if (chapters.length === 0) {
+    throw new Error('The file does not contain any readable text');
+  }
+
+  return {
+    metadata: {
+      title: metadata.title || 'Untitled',
+      author: metadata.author || 'Unknown Author',
+      language: metadata.language || 'en',
+      direction: metadata.direction === 'rtl' || metadata.direction === 'ltr' ? metadata.direction : null,
+      coverUrl: null,
+    },
+    chapters,
+    totalWords: chapters.reduce((sum, ch) => sum + ch.wordCount, 0),
+  };
+}
+
+/**
+ * Derive a readable title from a file name
+ * @param {string} fileName - The file name
+ * @returns {string} Title
+ */
+function getTitleFromFileName(fileName) {
+  return fileName
+    .replace(/\.[^.]+$/, '')
+    .replace(/[_-]+/g, ' ')
+    .trim() || 'Untitled';
+}
@@ -0,0 +1,141 @@
+/**
+ * Timing Service
+ * Timing models decide how long each token stays on screen relative to the others.
+ *
+ * A timing model is a function (tokens, options) => number[] returning one
+ * relative weight per token (1 = an average word). The RSVP engine normalizes
+ * the weights so their mean is 1, which keeps the average rate at the chosen WPM.
+ * For words read outside the book's token list (inline notes, fragments of
+ * split words) it passes the book's tokens as options.frequencySource, so a
+ * rare word still means rare in the book.
+ *
+ * Chinese and Japanese words are weighted per character, since their words
+ * range from one to several characters of roughly equal reading effort.
+ */
+
+import { countCjkCharacters } from './segmenter.js';
+
+export const DEFAULT_TIMING_WEIGHTS = {
+  wordLength: 0.08, // extra per character beyond LONG_WORD_THRESHOLD
+  clausePause: 0.4, // word ends with , ; :
+  sentenceEnd: 0.8, // word ends with . ! ?
+  paragraphEnd: 1.2, // last word of a paragraph or chapter
+  numeral: 0.5, // word contains digits
+  rareWord: 0.3, // word occurs at most once in the book
+};
+
+const LONG_WORD_THRESHOLD = 6;
+const MAX_LENGTH_BONUS = 1.5;
+const CJK_CHARACTER_WEIGHT = 0.5; // a two-character word reads like an average word
+const CLAUSE_PUNCTUATION = /[,;:，、；：]["'”’»)\]」』）》〉]*$/u;
+
+const frequencyCache = new WeakMap(); // token array -> word frequencies
+
+/**
+ * Uniform timing - every token gets the same duration
+ * Chinese and Japanese tokens get the same duration per character instead.
+ * @param {Array} tokens - Array of word tokens
+ * @returns {number[]} Weights (1 for other words)
+ */
+export function uniformTiming(tokens) {
+  return tokens.map((token) => getBaseWeight(token.word));
+}
+
+/**
+ * Create a weighted timing model
+ * Longer words, clause and sentence punctuation, paragraph ends, numbers
+ * and rare words get proportionally more time.
+ * @param {Object} weights - Partial weights, merged over DEFAULT_TIMING_WEIGHTS
+ * @returns {Function} Timing model (tokens, { frequencySource }) => number[]
+ */
+export function createWeightedTiming(weights = {}) {
+  // Negative or non-numeric weights fall back to zero
+  const w = {};
+  Object.keys(DEFAULT_TIMING_WEIGHTS).forEach((key) => {
+    const value = key in weights ? Number(weights[key]) : DEFAULT_TIMING_WEIGHTS[key];
+    w[key] = Number.isFinite(value) ? Math.max(0, value) : 0;
+  });
+
+  return function weightedTiming(tokens, { frequencySource = tokens } = {}) {
+    const frequencies = getWordFrequencies(frequencySource);
+
+    return tokens.map((token) => {
+      const word = token.word;
+      const letters = normalizeWord(word);
+      let weight = getBaseWeight(word);
+
+      if (countCjkCharacters(word) === 0) {
+        const extraChars = Math.max(0, letters.length - LONG_WORD_THRESHOLD);
+        weight += Math.min(MAX_LENGTH_BONUS, extraChars * w.wordLength);
+      }
+
+      if (token.isParagraphEnd || token.isChapterEnd) {
+        weight += w.paragraphEnd;
+      } else if (token.hasSentenceEnd) {
+        weight += w.sentenceEnd;
+      } else if (CLAUSE_PUNCTUATION.test(word)) {
+        weight += w.clausePause;
+      }
+
+      if (/\d/.test(word)) {
+        weight += w.numeral;
+      }
+
+      if (letters.length > 3 && frequencies.get(letters) <= 1) {
+        weight += w.rareWord;
+      }
+
+      return weight;
+    });
+  };
+}
+
+/**
+ * Get the timing model selected in preferences
+ * @param {Object} preferences - User preferences
+ * @returns {Function} Timing model
+ */
+export function getTimingModel(preferences) {
+  if (preferences.timingModel === 'uniform') {
+    return uniformTiming;
+  }
+  return createWeightedTiming(preferences.timingWeights);
+}
+
+/**
+ * Get the weight of a word before any pauses or bonuses
+ * @param {string} word - The word
+ * @returns {number} 1, or per character for Chinese and Japanese
+ */
+function getBaseWeight(word) {
+  const cjkCharacters = countCjkCharacters(word);
+  return cjkCharacters > 0 ? cjkCharacters * CJK_CHARACTER_WEIGHT : 1;
+}
+
+/**
+ * Count how often each normalized word occurs
+ * Counts are cached per token array, since notes and split words are weighed
+ * against the whole book many times.
+ * @param {Array} tokens - Array of word tokens
+ * @returns {Map<string, number>} Word -> count
+ */
+function getWordFrequencies(tokens) {
+  if (frequencyCache.has(tokens)) return frequencyCache.get(tokens);
+
+  const frequencies = new Map();
+  tokens.forEach((token) => {
+    const key = normalizeWord(token.word);
+    frequencies.set(key, (frequencies.get(key) || 0) + 1);
+  });
+  frequencyCache.set(tokens, frequencies);
+  return frequencies;
+}
+
+/**
+ * Lowercase a word and strip surrounding punctuation
+ * @param {string} word - The word
+ * @returns {string} Normalized word
+ */
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
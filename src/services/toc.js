@@ -0,0 +1,51 @@
+/**
+ * Table of Contents Service
+ * Turns the flat chapter list (each chapter carrying its nesting depth) into
+ * a tree for the chapter list overlay
+ */
+
+/**
+ * Build the table of contents tree
+ * A chapter becomes a child of the closest earlier chapter with a smaller
+ * depth, so gaps left by skipped entries don't break the nesting.
+ * @param {Array} chapters - Chapter objects with optional depth and wordCount
+ * @returns {Array} Root nodes: { index, chapter, depth, totalWords, children }
+ */
+export function buildChapterTree(chapters) {
+  const roots = [];
+  const stack = [];
+
+  chapters.forEach((chapter, index) => {
+    const node = { index, chapter, depth: chapter.depth || 0, totalWords: 0, children: [] };
+
+    while (stack.length > 0 && stack[stack.length - 1].depth >= node.depth) {
+      stack.pop();
+    }
+
+    (stack.length > 0 ? stack[stack.length - 1].children : roots).push(node);
+    stack.push(node);
+  });
+
+  roots.forEach(sumWords);
+  return roots;
+}
+
+/**
+ * Check whether a node or one of its descendants is a given chapter
+ * @param {Object} node - Tree node
+ * @param {number} chapterIndex - Chapter index
+ * @returns {boolean} True if the chapter is in this subtree
+ */
+export function treeContainsChapter(node, chapterIndex) {
+  return node.index === chapterIndex || node.children.some((child) => treeContainsChapter(child, chapterIndex));
+}
+
+/**
+ * Fill in totalWords (the chapter plus everything nested under it)
+ * @param {Object} node - Tree node
+ * @returns {number} Word count of the subtree
+ */
+function sumWords(node) {
+  node.totalWords = (node.chapter.wordCount || 0) + node.children.reduce((sum, child) => sum + sumWords(child), 0);
+  return node.totalWords;
+}
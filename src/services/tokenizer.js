@@ -3,26 +3,54 @@
  * Converts chapter text into word tokens for RSVP display
  */
 
+import { findSentenceEnds } from './sentences.js';
+import { splitWords } from './segmenter.js';
+
 /**
  * Tokenize text from chapters into a flat array of word tokens
- * @param {Array} chapters - Array of chapter objects with text property
+ * Chapters with structured blocks (from HTML or Markdown) also mark headings,
+ * list items, blockquotes and emphasized words, and carry footnote text on
+ * the word the note belongs to.
+ * @param {Array} chapters - Array of chapter objects with text and optional blocks
+ * @param {Object} [options]
+ * @param {string} [options.language] - Book language, for sentence boundaries
  * @returns {Array} Array of token objects
  */
-export function tokenizeChapters(chapters) {
+export function tokenizeChapters(chapters, { language } = {}) {
   const tokens = [];
 
   chapters.forEach((chapter, chapterIndex) => {
-    const words = tokenizeText(chapter.text);
+    const words = [];
+
+    getChapterBlocks(chapter).forEach((block) => {
+      const blockWords = tokenizeText(block.text);
+      const emphasized = new Set(block.emphasized);
+      const notes = groupNotes(block.notes);
+      const sentenceEnds = findSentenceEnds(blockWords, language);
 
-    words.forEach((word, wordIndex) => {
+      blockWords.forEach((word, i) => {
+        words.push({
+          word,
+          isParagraphStart: i === 0,
+          isParagraphEnd: i === blockWords.length - 1,
+          isHeading: block.type === 'heading',
+          isListItem: block.type === 'listItem',
+          isBlockquote: block.type === 'blockquote',
+          isEmphasized: emphasized.has(i),
+          notes: notes.get(i) || null,
+          hasSentenceEnd: sentenceEnds[i],
+        });
+      });
+    });
+
+    words.forEach((structure, wordIndex) => {
       tokens.push({
-        word,
+        ...structure,
         chapterIndex,
         chapterTitle: chapter.title,
         wordIndexInChapter: wordIndex,
         isChapterStart: wordIndex === 0,
         isChapterEnd: wordIndex === words.length - 1,
-        hasSentenceEnd: hasSentenceEndingPunctuation(word),
       });
     });
   });
@@ -30,17 +58,97 @@ export function tokenizeChapters(chapters) {
   return tokens;
 }
 
+/**
+ * Group a block's notes by the word they belong to
+ * @param {Array} [notes] - Array of { index, text }
+ * @returns {Map<number, string[]>} Word index -> note texts
+ */
+function groupNotes(notes = []) {
+  const grouped = new Map();
+  notes.forEach(({ index, text }) => {
+    grouped.set(index, [...(grouped.get(index) || []), text]);
+  });
+  return grouped;
+}
+
+/**
+ * Turn note text into tokens read after the word it belongs to
+ * The tokens keep the position of that word, so they don't shift the book's
+ * word indices.
+ * @param {string} text - Note text
+ * @param {Object} token - Token the note belongs to
+ * @param {string} [language] - Book language, for sentence boundaries
+ * @returns {Array} Array of note tokens (isNote: true)
+ */
+export function tokenizeNote(text, token, language) {
+  const words = tokenizeText(text);
+  const sentenceEnds = findSentenceEnds(words, language);
+
+  return words.map((word, i) => ({
+    word,
+    isParagraphStart: i === 0,
+    isParagraphEnd: i === words.length - 1,
+    isHeading: false,
+    isListItem: false,
+    isBlockquote: false,
+    isEmphasized: false,
+    notes: null,
+    isNote: true,
+    chapterIndex: token.chapterIndex,
+    chapterTitle: token.chapterTitle,
+    wordIndexInChapter: token.wordIndexInChapter,
+    isChapterStart: false,
+    isChapterEnd: false,
+    hasSentenceEnd: sentenceEnds[i],
+  }));
+}
+
+/**
+ * Get the text blocks of a chapter
+ * Chapters without structure (plain text) are split into paragraphs on blank lines.
+ * @param {Object} chapter - Chapter object
+ * @returns {Array} Array of blocks ({ type, text, emphasized })
+ */
+function getChapterBlocks(chapter) {
+  if (chapter.blocks) {
+    return chapter.blocks;
+  }
+
+  return chapter.text
+    .split(/\n\s*\n/)
+    .filter((paragraph) => paragraph.trim().length > 0)
+    .map((text) => ({ type: 'paragraph', text, emphasized: [] }));
+}
+
+/**
+ * Find the first and last token index of the paragraph containing an index
+ * @param {Array} tokens - Array of all tokens
+ * @param {number} index - Token index inside the paragraph
+ * @returns {{start: number, end: number}} Inclusive token range
+ */
+export function getParagraphBounds(tokens, index) {
+  let start = Math.max(0, Math.min(index, tokens.length - 1));
+  let end = start;
+
+  while (start > 0 && !tokens[start].isParagraphStart) {
+    start--;
+  }
+  while (end < tokens.length - 1 && !tokens[end].isParagraphEnd) {
+    end++;
+  }
+
+  return { start, end };
+}
+
 /**
  * Tokenize a single text string into words
+ * Chinese, Japanese and Thai runs are segmented into words as well.
  * @param {string} text - Text to tokenize
  * @returns {string[]} Array of words
  */
 function tokenizeText(text) {
-  // Split on whitespace while preserving punctuation attached to words
-  return text
-    .split(/\s+/)
-    .filter((word) => word.length > 0)
-    .map((word) => cleanWord(word));
+  // Split on whitespace (and word boundaries inside unspaced scripts), keeping attached punctuation
+  return splitWords(text).map((word) => cleanWord(word));
 }
 
 /**
@@ -57,47 +165,41 @@ function cleanWord(word) {
 }
 
 /**
- * Check if a word ends with sentence-ending punctuation
- * @param {string} word - The word to check
- * @returns {boolean} True if word ends a sentence
+ * Check whether a token closes a sentence
+ * Paragraph ends count too, so headings and list items without final
+ * punctuation don't run into the next sentence.
+ * @param {Object} token - Token to check
+ * @returns {boolean} True if the next token starts a new sentence
  */
-function hasSentenceEndingPunctuation(word) {
-  // Check for period, question mark, exclamation mark at end
-  // Also handle cases like "word." or "word?"
-  return /[.!?]["'»"']?$/.test(word);
+function endsSentence(token) {
+  return token.hasSentenceEnd || token.isParagraphEnd;
 }
 
 /**
- * Find the index of the start of the previous sentence
+ * Find the index of the start of the sentence containing an index
  * @param {Array} tokens - Array of all tokens
- * @param {number} currentIndex - Current position
+ * @param {number} index - Token index inside the sentence
  * @returns {number} Index of sentence start
  */
-export function findPreviousSentenceStart(tokens, currentIndex) {
-  if (currentIndex <= 0) return 0;
-
-  // Go back to find the previous sentence ending, then move forward one
-  let i = currentIndex - 1;
-
-  // Skip to before current sentence
-  while (i > 0 && !tokens[i].hasSentenceEnd) {
-    i--;
-  }
-
-  // Now we're at a sentence ending (or start), go back one more sentence
-  if (i > 0) {
+export function findSentenceStart(tokens, index) {
+  let i = Math.max(0, Math.min(index, tokens.length - 1));
+  while (i > 0 && !endsSentence(tokens[i - 1])) {
     i--;
-    while (i > 0 && !tokens[i].hasSentenceEnd) {
-      i--;
-    }
   }
+  return i;
+}
 
-  // Move forward one to be at sentence start
-  if (i > 0 && tokens[i].hasSentenceEnd) {
-    i++;
-  }
+/**
+ * Find the index of the start of the previous sentence
+ * @param {Array} tokens - Array of all tokens
+ * @param {number} currentIndex - Current position
+ * @returns {number} Index of sentence start
+ */
+export function findPreviousSentenceStart(tokens, currentIndex) {
+  const currentStart = findSentenceStart(tokens, currentIndex);
+  if (currentStart <= 0) return 0;
 
-  return Math.max(0, i);
+  return findSentenceStart(tokens, currentStart - 1);
 }
 
 /**
@@ -112,7 +214,7 @@ export function findNextSentenceStart(tokens, currentIndex) {
 
   // Find the next sentence ending
   let i = currentIndex;
-  while (i < maxIndex && !tokens[i].hasSentenceEnd) {
+  while (i < maxIndex && !endsSentence(tokens[i])) {
     i++;
   }
 
@@ -0,0 +1,196 @@
+/**
+ * Word Splitter Service
+ * Breaks words too long to take in at a glance (URLs, compounds, chemical
+ * names, hyphenated chains) into fragments that are shown one after another.
+ * Breaks go after hyphens and URL punctuation where possible, otherwise at
+ * hyphenation points from the TeX patterns of the book's language. The
+ * patterns ship with the app (hyphen package) and are loaded per language.
+ */
+
+import { getPrimaryLanguage } from './language.js';
+import { splitGraphemes } from './orp.js';
+
+const MIN_FRAGMENT_LENGTH = 3; // characters - shorter pieces are hard to read on their own
+const HYPHENATE_MIN_LENGTH = 5; // letter runs shorter than this aren't hyphenated
+const SOFT_HYPHEN = '­';
+
+// Characters a word may always break after (hyphens, dashes, URL and path separators)
+const BREAK_AFTER = /[-‐–—/\\_.?&=+#:·]/u;
+
+// Pattern modules per primary language; each ends up in its own chunk of the build
+const HYPHENATION_PATTERNS = {
+  cs: () => import('hyphen/cs/index.js'),
+  da: () => import('hyphen/da/index.js'),
+  de: () => import('hyphen/de/index.js'),
+  en: () => import('hyphen/en/index.js'),
+  es: () => import('hyphen/es/index.js'),
+  fi: () => import('hyphen/fi/index.js'),
+  fr: () => import('hyphen/fr/index.js'),
+  hu: () => import('hyphen/hu/index.js'),
+  it: () => import('hyphen/it/index.js'),
+  nb: () => import('hyphen/nb/index.js'),
+  nl: () => import('hyphen/nl/index.js'),
+  no: () => import('hyphen/nb/index.js'),
+  pl: () => import('hyphen/pl/index.js'),
+  pt: () => import('hyphen/pt/index.js'),
+  ru: () => import('hyphen/ru/index.js'),
+  sv: () => import('hyphen/sv/index.js'),
+};
+
+const hyphenators = new Map(); // primary language -> Promise<Function|null>
+
+/**
+ * Load the hyphenation function for a language
+ * Books without a language use English patterns; languages without bundled
+ * patterns get null, and their words only break at hyphens and separators.
+ * @param {string|null} [language] - Language code from the book metadata
+ * @returns {Promise<Function|null>} (text) => text with soft hyphens, or null
+ */
+export function loadHyphenator(language) {
+  const primary = getPrimaryLanguage(language);
+  if (!hyphenators.has(primary)) {
+    const loadPatterns = HYPHENATION_PATTERNS[primary || 'en'];
+    const hyphenator = loadPatterns
+      ? loadPatterns()
+          .then((module) => {
+            const { hyphenateSync } = module.default || module;
+            return (text) => hyphenateSync(text, { hyphenChar: SOFT_HYPHEN, minWordLength: HYPHENATE_MIN_LENGTH });
+          })
+          .catch((e) => {
+            console.warn(`Failed to load hyphenation patterns for "${primary}":`, e);
+            return null;
+          })
+      : Promise.resolve(null);
+    hyphenators.set(primary, hyphenator);
+  }
+  return hyphenators.get(primary);
+}
+
+/**
+ * Create a splitter for long word tokens
+ * @param {Object} options
+ * @param {number} options.maxLength - Words longer than this are split
+ * @param {Function|null} [options.hyphenate] - Hyphenation function from loadHyphenator
+ * @returns {Function} (token) => fragment tokens, or null if the word fits
+ */
+export function createWordSplitter({ maxLength, hyphenate = null }) {
+  const cache = new Map(); // word -> pieces (or null)
+
+  return function splitToken(token) {
+    const { word } = token;
+    // Code units are never fewer than graphemes, so this rules out most words cheaply
+    if (word.length <= maxLength) return null;
+
+    if (!cache.has(word)) {
+      cache.set(word, splitWord(word, maxLength, hyphenate));
+    }
+    const pieces = cache.get(word);
+    if (!pieces) return null;
+
+    // Structure flags stay with the fragment at the matching end of the word
+    const last = pieces.length - 1;
+    return pieces.map((piece, i) => ({
+      ...token,
+      word: piece,
+      isFragment: true,
+      continues: i < last,
+      isParagraphStart: token.isParagraphStart && i === 0,
+      isChapterStart: token.isChapterStart && i === 0,
+      isParagraphEnd: token.isParagraphEnd && i === last,
+      isChapterEnd: token.isChapterEnd && i === last,
+      hasSentenceEnd: token.hasSentenceEnd && i === last,
+      notes: i === last ? token.notes : null,
+    }));
+  };
+}
+
+/**
+ * Split a word into fragments of at most maxLength characters
+ * Fragments come out about the same size; breaks after hyphens and
+ * separators win over hyphenation points, and words without either are
+ * cut where they must be. Lengths count graphemes, so an emoji sequence or
+ * a letter with combining marks is one character and is never cut apart.
+ * @param {string} word - Word to split
+ * @param {number} maxLength - Longest fragment
+ * @param {Function|null} hyphenate - Hyphenation function or null
+ * @returns {string[]|null} Fragments, or null if the word can't be split
+ */
+export function splitWord(word, maxLength, hyphenate) {
+  const graphemes = splitGraphemes(word);
+  const length = graphemes.length;
+  if (length <= maxLength || maxLength < MIN_FRAGMENT_LENGTH * 2) return null;
+
+  // Grapheme position of each code unit offset that starts a grapheme
+  const positions = new Map();
+  graphemes.reduce((offset, grapheme, position) => {
+    positions.set(offset, position);
+    return offset + grapheme.length;
+  }, 0);
+
+  const breaks = findBreaks(word, hyphenate)
+    .filter(({ index }) => positions.has(index))
+    .map(({ index, strong }) => ({ index: positions.get(index), strong }));
+  const pieces = [];
+  let start = 0;
+
+  while (length - start > maxLength) {
+    const remaining = length - start;
+    const target = start + remaining / Math.ceil(remaining / maxLength);
+
+    const candidates = breaks.filter(
+      ({ index }) =>
+        index - start >= MIN_FRAGMENT_LENGTH && index - start <= maxLength && length - index >= MIN_FRAGMENT_LENGTH
+    );
+    const strong = candidates.filter((candidate) => candidate.strong);
+    const pool = strong.length > 0 ? strong : candidates;
+
+    // Without a break in reach, cut between any two graphemes (there is always
+    // one within maxLength, since every position counts a whole grapheme)
+    let end = Math.round(target);
+    if (pool.length > 0) {
+      end = pool.reduce((best, candidate) =>
+        Math.abs(candidate.index - target) < Math.abs(best.index - target) ? candidate : best
+      ).index;
+    }
+    end = Math.max(start + 1, Math.min(start + maxLength, end));
+
+    pieces.push(graphemes.slice(start, end).join(''));
+    start = end;
+  }
+
+  pieces.push(graphemes.slice(start).join(''));
+  return pieces;
+}
+
+/**
+ * Find the positions a word may break at
+ * @param {string} word - Word to split
+ * @param {Function|null} hyphenate - Hyphenation function or null
+ * @returns {Array} Sorted { index, strong } - a break before word[index];
+ *   strong breaks follow a hyphen or separator
+ */
+function findBreaks(word, hyphenate) {
+  const breaks = new Map();
+
+  for (let i = 1; i < word.length - 1; i++) {
+    if (BREAK_AFTER.test(word[i - 1]) && !BREAK_AFTER.test(word[i])) {
+      breaks.set(i, true);
+    }
+  }
+
+  if (hyphenate) {
+    for (const match of word.matchAll(/[\p{L}\p{M}]+/gu)) {
+      if (match[0].length < HYPHENATE_MIN_LENGTH) continue;
+
+      let offset = match.index;
+      for (const syllable of hyphenate(match[0]).split(SOFT_HYPHEN).slice(0, -1)) {
+        offset += syllable.length;
+        if (!breaks.has(offset)) breaks.set(offset, false);
+      }
+    }
+  }
+
+  return [...breaks]
+    .map(([index, strong]) => ({ index, strong }))
+    .sort((a, b) => a.index - b.index);
+}